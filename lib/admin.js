@@ -0,0 +1,108 @@
+// Packages
+const { send } = require('micro')
+
+// Utilities
+const isEqual = require('./compare')
+
+// Keys of the configuration that must never be exposed
+const secret = /token|secret|password|redisUrl|analyticsUrl/i
+
+module.exports = ({ cache, config }) => {
+  const exports = {}
+  const { adminToken } = config
+
+  const isAuthorized = req => {
+    const header = req.headers.authorization || ''
+    const [scheme, token] = header.split(' ')
+
+    if (scheme !== 'Bearer' || !token) {
+      return false
+    }
+
+    return isEqual(token, adminToken)
+  }
+
+  // Only lets requests with the admin token through
+  const protect = handler => async (req, res) => {
+    if (!adminToken) {
+      send(res, 404, {
+        error: 'admin_disabled',
+        message: 'The admin API is disabled, since ADMIN_TOKEN is not defined'
+      })
+
+      return
+    }
+
+    if (!isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer')
+
+      send(res, 401, {
+        error: 'unauthorized',
+        message: 'The admin token is missing or invalid'
+      })
+
+      return
+    }
+
+    return handler(req, res)
+  }
+
+  exports.refresh = protect(async (req, res) => {
+    try {
+      await cache.refreshCache()
+    } catch (err) {
+      // Already logged by the cache
+      send(res, 502, {
+        error: 'refresh_failed',
+        message: err.message
+      })
+
+      return
+    }
+
+    send(res, 200, {
+      version: cache.latest.version,
+      lastUpdate: cache.lastUpdate
+    })
+  })
+
+  exports.cache = protect(async (req, res) => {
+    const { latest, releases, yanked, lastUpdate, lastError } = cache
+
+    send(res, 200, {
+      version: latest.version,
+      pub_date: latest.pub_date,
+      platforms: latest.platforms,
+      files: latest.files,
+      releases: releases.map(release => release.version),
+      yanked,
+      lastUpdate,
+      lastError,
+      outdated: cache.isOutdated()
+    })
+  })
+
+  exports.config = protect(async (req, res) => {
+    const effective = {}
+
+    for (const key of Object.keys(config)) {
+      const value = config[key]
+
+      if (typeof value === 'undefined') {
+        continue
+      }
+
+      if (secret.test(key)) {
+        effective[key] = '[redacted]'
+      } else if (['source', 'storage', 'analytics'].includes(key) && typeof value === 'object') {
+        effective[key] = 'custom'
+      } else {
+        effective[key] = value
+      }
+    }
+
+    send(res, 200, effective)
+  })
+
+  return exports
+}
@@ -1,3 +1,6 @@
+// Utilities
+const archs = require('./arch')
+
 const aliases = {
   darwin: ['mac', 'macos', 'osx', 'dmg'],  // Add dmg as darwin alias
   win32: ['windows', 'win', 'exe'],         // Map win32 correctly
@@ -7,12 +10,18 @@ const aliases = {
   exe: ['win32', 'windows', 'win']          // Keep exe mapping for backward compatibility
 }
 
-for (const existingPlatform of Object.keys(aliases)) {
-  const newPlatform = existingPlatform + '_arm64';
-  aliases[newPlatform] = aliases[existingPlatform].map(alias => `${alias}_arm64`);
-}
+// Custom aliases (from the configuration) take precedence
+const resolve = (platform, custom) => {
+  if (typeof custom[platform] !== 'undefined') {
+    return platform
+  }
+
+  for (const guess of Object.keys(custom)) {
+    if (custom[guess].includes(platform)) {
+      return guess
+    }
+  }
 
-module.exports = platform => {
   if (typeof aliases[platform] !== 'undefined') {
     return platform
   }
@@ -27,3 +36,22 @@ module.exports = platform => {
 
   return false
 }
+
+// Keys with an architecture (like `mac_arm64` or `win_ia32`)
+// are resolved by their platform
+module.exports = (platform, custom = {}) => {
+  const resolved = resolve(platform, custom)
+
+  if (resolved || typeof platform !== 'string') {
+    return resolved
+  }
+
+  const split = archs.split(platform)
+
+  if (split.platform === platform) {
+    return false
+  }
+
+  const base = resolve(split.platform, custom)
+  return base ? archs.key(base, split.arch) : false
+}
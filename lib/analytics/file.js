@@ -0,0 +1,27 @@
+// Native
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+
+const appendFile = promisify(fs.appendFile)
+
+// Appends every event as a line of JSON to a file on the disk
+module.exports = class FileSink {
+  constructor(config) {
+    const { analyticsPath } = config
+
+    if (!analyticsPath) {
+      const error = new Error('ANALYTICS_PATH is not defined')
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    this.path = path.resolve(analyticsPath)
+
+    this.write = this.write.bind(this)
+  }
+
+  async write(event) {
+    await appendFile(this.path, `${JSON.stringify(event)}\n`)
+  }
+}
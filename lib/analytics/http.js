@@ -0,0 +1,31 @@
+// Packages
+const fetch = require('node-fetch')
+
+// Sends every event as JSON to a webhook
+module.exports = class HttpSink {
+  constructor(config) {
+    const { analyticsUrl } = config
+
+    if (!analyticsUrl) {
+      const error = new Error('ANALYTICS_URL is not defined')
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    this.url = analyticsUrl
+
+    this.write = this.write.bind(this)
+  }
+
+  async write(event) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(event)
+    })
+
+    if (!response.ok) {
+      throw new Error(`Analytics webhook responded with ${response.status}`)
+    }
+  }
+}
@@ -0,0 +1,196 @@
+// Native
+const urlHelpers = require('url')
+
+// Packages
+const ms = require('ms')
+const { parse } = require('express-useragent')
+
+// Utilities
+const checkAlias = require('../aliases')
+const channels = require('../channels')
+const archs = require('../arch')
+const Logger = require('../logger')
+
+// Every sink receives the events one by one (`write`)
+const sinks = {
+  stdout: require('./stdout'),
+  file: require('./file'),
+  http: require('./http')
+}
+
+// Upper bound of the events kept in memory for `/stats`
+const maxEvents = 50000
+
+// Headers set by common CDNs and hosting providers
+const countryHeaders = ['cf-ipcountry', 'x-vercel-ip-country', 'x-country-code']
+
+const createSink = config => {
+  const { analytics } = config
+
+  // Allows passing a custom sink when using Hazel programmatically
+  if (!analytics || typeof analytics === 'object') {
+    return analytics || null
+  }
+
+  const Sink = sinks[analytics]
+
+  if (!Sink) {
+    const error = new Error(
+      `ANALYTICS must be one of ${Object.keys(sinks).join(', ')}`
+    )
+
+    error.code = 'invalid_analytics'
+    throw error
+  }
+
+  return new Sink(config)
+}
+
+
+const toUserAgent = header => {
+  if (!header) {
+    return null
+  }
+
+  if (/Electron\//.test(header)) {
+    return 'Electron'
+  }
+
+  const { browser } = parse(header)
+  return browser && browser !== 'unknown' ? browser : 'other'
+}
+
+const toOutcome = status => {
+  if (status === 204) {
+    return 'no_update'
+  }
+
+  if (status >= 200 && status < 300) {
+    return 'ok'
+  }
+
+  if (status >= 300 && status < 400) {
+    return 'redirect'
+  }
+
+  return status === 404 ? 'not_found' : 'error'
+}
+
+const countBy = (events, key) => {
+  const counts = {}
+
+  for (const event of events) {
+    const value = event[key]
+
+    if (value) {
+      counts[value] = (counts[value] || 0) + 1
+    }
+  }
+
+  return counts
+}
+
+class Analytics {
+  constructor(config, logger) {
+    const { statsWindow = 1440 } = config
+
+    this.config = config
+    this.logger = logger
+    this.sink = createSink(config)
+    this.window = ms(`${statsWindow}m`)
+    this.events = []
+
+    this.describe = this.describe.bind(this)
+    this.track = this.track.bind(this)
+    this.record = this.record.bind(this)
+    this.prune = this.prune.bind(this)
+    this.summary = this.summary.bind(this)
+  }
+
+  // Describes a request once its response was sent
+  describe(req, status, details = {}) {
+    const params = details.params || {}
+    const { query } = urlHelpers.parse(req.url, true)
+    const platform = details.platform || params.platform
+    const arch = params.arch && archs.normalize(params.arch)
+    const alias = platform
+      ? checkAlias(platform, this.config.aliases) || platform
+      : null
+    const resolved =
+      alias && arch ? archs.key(archs.split(alias).platform, arch) : alias
+    const country = countryHeaders.find(name => req.headers[name])
+
+    return {
+      date: new Date().toISOString(),
+      route: details.route,
+      platform: resolved,
+      arch: resolved ? archs.split(resolved).arch : null,
+      version: params.version || query.version || null,
+      channel: params.channel
+        ? channels.normalize(params.channel) || params.channel
+        : details.channel || null,
+      userAgent: toUserAgent(req.headers['user-agent']),
+      country: country ? req.headers[country] : null,
+      status,
+      outcome: toOutcome(status)
+    }
+  }
+
+  track(req, status, details) {
+    return this.record(this.describe(req, status, details))
+  }
+
+  // Failing sinks never affect the responses
+  record(event) {
+    this.events.push(event)
+    this.prune()
+
+    if (!this.sink) {
+      return Promise.resolve()
+    }
+
+    return Promise.resolve()
+      .then(() => this.sink.write(event))
+      .catch(err => {
+        this.logger.error('Error writing the analytics event', { err })
+      })
+  }
+
+  prune() {
+    const since = new Date(Date.now() - this.window).toISOString()
+    const index = this.events.findIndex(event => event.date >= since)
+
+    if (index === -1) {
+      this.events = []
+    } else if (index > 0) {
+      this.events = this.events.slice(index)
+    }
+
+    if (this.events.length > maxEvents) {
+      this.events = this.events.slice(-maxEvents)
+    }
+  }
+
+  summary() {
+    this.prune()
+
+    const { events } = this
+
+    return {
+      from: new Date(Date.now() - this.window).toISOString(),
+      to: new Date().toISOString(),
+      total: events.length,
+      routes: countBy(events, 'route'),
+      outcomes: countBy(events, 'outcome'),
+      platforms: countBy(events, 'platform'),
+      arches: countBy(events, 'arch'),
+      versions: countBy(events, 'version'),
+      channels: countBy(events, 'channel'),
+      userAgents: countBy(events, 'userAgent'),
+      countries: countBy(events, 'country')
+    }
+  }
+}
+
+module.exports = (config, logger = new Logger(config)) =>
+  new Analytics(config, logger)
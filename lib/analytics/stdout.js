@@ -0,0 +1,11 @@
+// Prints every event as a line of JSON, which
+// most log drains are able to collect
+module.exports = class StdoutSink {
+  constructor() {
+    this.write = this.write.bind(this)
+  }
+
+  async write(event) {
+    process.stdout.write(`${JSON.stringify(event)}\n`)
+  }
+}
@@ -0,0 +1,79 @@
+// Builds for x64 don't have a suffix in the keys of the platforms
+// (like `darwin`), while the other architectures have one (like
+// `darwin_arm64`), which keeps the keys of existing clients working
+const defaultArch = 'x64'
+
+// Ordered by the likelihood of the names appearing in the assets of
+// other architectures, so that `universal` wins over `x64`
+const patterns = [
+  ['universal', /universal/i],
+  ['arm64', /(arm64|aarch64)/i],
+  ['armv7l', /(armv7l|armhf|armv7)/i],
+  ['ia32', /(ia32|i[36]86|[-_.]x86(?!_64)[-_.])/i],
+  ['x64', /(x64|x86_64|amd64)/i]
+]
+
+const aliases = {
+  x64: ['amd64', 'x86_64'],
+  ia32: ['x86', 'i386', 'i686', '32'],
+  arm64: ['aarch64'],
+  armv7l: ['armhf', 'armv7'],
+  universal: []
+}
+
+exports.names = Object.keys(aliases)
+
+// Turns aliases like `aarch64` into the name of the architecture
+exports.normalize = name => {
+  if (typeof name !== 'string') {
+    return false
+  }
+
+  const lower = name.toLowerCase()
+
+  return (
+    exports.names.find(arch => arch === lower || aliases[arch].includes(lower)) ||
+    false
+  )
+}
+
+// Derives the architecture from the name of an asset
+exports.detect = fileName => {
+  const match = patterns.find(([, pattern]) => pattern.test(fileName))
+  return match ? match[0] : defaultArch
+}
+
+exports.key = (platform, arch) =>
+  !arch || arch === defaultArch ? platform : `${platform}_${arch}`
+
+// Splits keys like `darwin_arm64` into the platform and its architecture
+exports.split = key => {
+  const index = key.lastIndexOf('_')
+  const suffix = index === -1 ? null : key.slice(index + 1)
+
+  if (suffix && exports.names.includes(suffix)) {
+    return { platform: key.slice(0, index), arch: suffix }
+  }
+
+  return { platform: key, arch: defaultArch }
+}
+
+// Universal builds run on every architecture, so they're served
+// if there's no build for the architecture of the client
+exports.find = (platforms, key) => {
+  if (!platforms) {
+    return null
+  }
+
+  if (platforms[key]) {
+    return { key, asset: platforms[key] }
+  }
+
+  const universal = exports.key(exports.split(key).platform, 'universal')
+
+  if (platforms[universal]) {
+    return { key: universal, asset: platforms[universal] }
+  }
+
+  return null
+}
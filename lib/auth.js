@@ -0,0 +1,129 @@
+// Native
+const crypto = require('crypto')
+const querystring = require('querystring')
+const urlHelpers = require('url')
+
+// Packages
+const { send } = require('micro')
+
+// Utilities
+const checkAlias = require('./aliases')
+const archs = require('./arch')
+const isEqual = require('./compare')
+
+// Clients with a signed URL may access whatever was signed for them
+const unrestricted = { channels: null, platforms: null }
+
+module.exports = config => {
+  const exports = {}
+  const { clientTokens, signingSecret, signedUrlTtl = 60 } = config
+  const tokens = Object.keys(clientTokens || {})
+
+  exports.isEnabled = Boolean(clientTokens)
+
+  const createSignature = (pathname, expires) =>
+    crypto
+      .createHmac('sha256', signingSecret)
+      .update(`${pathname}\n${expires}`)
+      .digest('hex')
+
+  const fail = (status, error, message) => ({ error: { status, error, message } })
+
+  // Finds out which client sent the request, either by the signature
+  // of the URL or by the token in the `Authorization` header
+  const authenticate = req => {
+    const { pathname, query } = urlHelpers.parse(req.url, true)
+
+    if (query.signature) {
+      const expires = parseInt(query.expires, 10)
+
+      if (!isEqual(query.signature, createSignature(pathname, expires))) {
+        return fail(403, 'invalid_signature', 'The signature of the URL is invalid')
+      }
+
+      if (!(expires * 1000 > Date.now())) {
+        return fail(403, 'signature_expired', 'The signed URL has expired')
+      }
+
+      return { client: unrestricted }
+    }
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ')
+
+    if (scheme !== 'Bearer' || !token) {
+      return fail(401, 'unauthorized', 'A token is required for this route')
+    }
+
+    // Every token is compared, so that the timing doesn't reveal any
+    const found = tokens.filter(item => isEqual(token, item))
+
+    if (found.length === 0) {
+      return fail(401, 'unauthorized', 'The token is invalid')
+    }
+
+    return { client: clientTokens[found[0]] }
+  }
+
+  // Only lets requests of known clients through. Which channels and
+  // platforms they may access is checked by the routes themselves.
+  exports.protect = handler => async (req, res, next) => {
+    if (!exports.isEnabled || req.access) {
+      return handler(req, res, next)
+    }
+
+    const { client, error } = authenticate(req)
+
+    if (error) {
+      if (error.status === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer')
+      }
+
+      send(res, error.status, { error: error.error, message: error.message })
+      return
+    }
+
+    req.access = client
+    return handler(req, res, next)
+  }
+
+  // Platforms of tokens can be aliases, and allow every architecture
+  exports.allows = (client, { channel, platform } = {}) => {
+    if (!client) {
+      return true
+    }
+
+    if (client.channels && channel && !client.channels.includes(channel)) {
+      return false
+    }
+
+    if (!client.platforms || !platform) {
+      return true
+    }
+
+    const base = archs.split(platform).platform
+
+    return client.platforms.some(name => {
+      const allowed = checkAlias(name, config.aliases) || name
+      return allowed === platform || allowed === base
+    })
+  }
+
+  exports.forbid = res => {
+    send(res, 403, {
+      error: 'forbidden',
+      message: 'The token does not grant access to this channel or platform'
+    })
+  }
+
+  // Creates a path that can be accessed without a token until it expires
+  exports.sign = (pathname, query = {}) => {
+    const expires = Math.floor((Date.now() + signedUrlTtl * 60 * 1000) / 1000)
+    const signature = createSignature(pathname, expires)
+
+    return `${pathname}?${querystring.stringify(
+      Object.assign({}, query, { expires, signature })
+    )}`
+  }
+
+  return exports
+}
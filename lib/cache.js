@@ -1,21 +1,145 @@
+// Native
+const crypto = require('crypto')
+
 // Packages
-const fetch = require('node-fetch')
-const retry = require('async-retry')
-const convertStream = require('stream-to-string')
 const ms = require('ms')
 const yaml = require('js-yaml')
 
 // Utilities
-const checkPlatform = require('./platform')
+const assetRules = require('./platform')
+const { parseMarker } = require('./rollout')
+const downgrade = require('./downgrade')
+const channels = require('./channels')
+const createSource = require('./sources')
+const loadYanked = require('./yanked')
+const createStorage = require('./storage')
+const createMetrics = require('./metrics')
+const Logger = require('./logger')
+
+// Longest time a refresh may take before other instances take over
+const lockTimeout = ms('2m')
+
+// Used to detect whether the assets of a release have changed
+const assetSignature = (release, rulesDigest) =>
+  release.assets
+    .map(({ name, updated_at }) => `${name}@${updated_at}`)
+    .concat(rulesDigest)
+    .join('|')
+
+const toMegabytes = size => Math.round(size / 1000000 * 10) / 10
+
+// Blockmaps (like `hyper-1.0.0.exe.blockmap`) describe the blocks of an
+// installer, which lets electron-updater only download the changed ones
+const attachBlockmaps = entry => {
+  for (const key of Object.keys(entry.platforms)) {
+    const platform = entry.platforms[key]
+    const blockmap = entry.assets[`${platform.name}.blockmap`]
+
+    if (blockmap) {
+      platform.blockmap = blockmap
+    }
+  }
+}
+
+// The details of an asset, which the routes need for serving it
+const describeAsset = asset => {
+  const { name, browser_download_url, url, content_type, size } = asset
+  const details = {
+    name,
+    api_url: url,
+    url: browser_download_url,
+    content_type,
+    size
+  }
+
+  // Assets of the filesystem source are streamed by Hazel itself
+  if (asset.path) {
+    details.path = asset.path
+  }
+
+  return details
+}
+
+// Lists a build matched by the platform rules and serves it for its
+// platform, unless a rule with a higher priority matched another asset
+// for the same one. Returns that asset in this case.
+const classifyAsset = (entry, asset, match, priorities) => {
+  const { platform, arch, format, priority } = match
+  const size = toMegabytes(asset.size)
+
+  // Every build, even the ones not served for updates
+  entry.builds.push({ platform, arch, format, name: asset.name, size })
+
+  if (entry.platforms[platform] && priorities[platform] >= priority) {
+    return entry.platforms[platform]
+  }
+
+  priorities[platform] = priority
+  entry.platforms[platform] = Object.assign(describeAsset(asset), {
+    size,
+    arch,
+    format
+  })
+
+  return null
+}
+
+// The `latest*.yml` manifests of electron-builder contain the hashes (and
+// sizes) of the files, which electron-updater verifies the downloads with
+const mergeManifest = (entry, manifest) => {
+  if (!manifest || !Array.isArray(manifest.files)) {
+    return
+  }
+
+  const assets = Object.values(entry.platforms)
+
+  for (const file of manifest.files) {
+    const data = assets.find(asset => file.url && asset.name === file.url)
+
+    if (!data) {
+      continue
+    }
+
+    data.sha512 = file.sha512
+
+    // Not every source knows the size of the assets
+    if (!data.size && file.size) {
+      data.size = toMegabytes(file.size)
+    }
+
+    if (file.blockMapSize) {
+      data.blockMapSize = file.blockMapSize
+    }
+  }
+}
 
 module.exports = class Cache {
-  constructor(config) {
-    const { account, repository, token, url } = config
-    this.config = config
+  constructor(config, options = {}) {
+    const { token, url } = config
+    const {
+      metrics = createMetrics(),
+      logger = new Logger(config)
+    } = options
 
-    if (!account || !repository) {
-      const error = new Error('Neither ACCOUNT, nor REPOSITORY are defined')
-      error.code = 'missing_configuration_properties'
+    this.config = config
+    this.metrics = metrics
+    this.logger = logger
+    this.source = createSource(config)
+    this.storage = createStorage(config)
+    this.rules = assetRules.compile(config)
+
+    // Releases are cached again once the rules change
+    this.rulesDigest = crypto
+      .createHash('sha1')
+      .update(JSON.stringify([config.platformRules, config.patterns]))
+      .digest('hex')
+      .slice(0, 8)
+
+    if (config.downgrade && !downgrade.isPolicy(config.downgrade)) {
+      const error = new Error(
+        'DOWNGRADE must be one of never, rollback, always'
+      )
+      error.code = 'invalid_configuration_properties'
       throw error
     }
 
@@ -28,238 +152,323 @@ module.exports = class Cache {
     }
 
     this.latest = {}
+    this.releases = []
+    this.yanked = []
     this.lastUpdate = null
+    this.lastError = null
+    this.refreshing = null
+    this.queued = null
+    this.syncing = null
 
     this.cacheReleaseList = this.cacheReleaseList.bind(this)
+    this.cacheRelease = this.cacheRelease.bind(this)
+    this.fetchReleases = this.fetchReleases.bind(this)
     this.refreshCache = this.refreshCache.bind(this)
+    this.updateCache = this.updateCache.bind(this)
+    this.storeCache = this.storeCache.bind(this)
+    this.selectLatest = this.selectLatest.bind(this)
+    this.evict = this.evict.bind(this)
+    this.snapshot = this.snapshot.bind(this)
+    this.restore = this.restore.bind(this)
+    this.syncCache = this.syncCache.bind(this)
+    this.revalidate = this.revalidate.bind(this)
     this.loadCache = this.loadCache.bind(this)
+    this.loadReleases = this.loadReleases.bind(this)
     this.isOutdated = this.isOutdated.bind(this)
   }
 
-  async cacheReleaseList(url) {
-    const { token } = this.config
-    const headers = { Accept: 'application/vnd.github.preview' }
-
-    if (token && typeof token === 'string' && token.length > 0) {
-      headers.Authorization = `token ${token}`
-    }
-
-    const { status, body } = await retry(
-      async () => {
-        const response = await fetch(url, { headers })
-
-        if (response.status !== 200) {
-          throw new Error(
-            `Tried to cache RELEASES, but failed fetching ${url}, status ${status}`
-          )
-        }
-
-        return response
-      },
-      { retries: 3 }
-    )
-
-    let content = await convertStream(body)
+  // Points the packages listed in RELEASES to their download URLs
+  async cacheReleaseList(asset, release) {
+    let content = await this.source.fetchAsset(asset)
     const matches = content.match(/[^ ]*\.nupkg/gim)
 
-    if (matches.length === 0) {
+    if (!matches || matches.length === 0) {
       throw new Error(
         `Tried to cache RELEASES, but failed. RELEASES content doesn't contain nupkg`
       )
     }
 
     for (let i = 0; i < matches.length; i += 1) {
-      const nuPKG = url.replace('RELEASES', matches[i])
-      content = content.replace(matches[i], nuPKG)
+      const nuPKG = release.assets.find(item => item.name === matches[i])
+      const nuPKGUrl = nuPKG
+        ? nuPKG.browser_download_url
+        : asset.browser_download_url.replace('RELEASES', matches[i])
+
+      content = content.replace(matches[i], nuPKGUrl)
     }
     return content
   }
 
-  async refreshCache() {
-    const { account, repository, pre, token } = this.config
-    // Trim whitespace to prevent URL construction issues
-    const cleanAccount = account ? account.trim() : account
-    const cleanRepository = repository ? repository.trim() : repository
-    const repo = cleanAccount + '/' + cleanRepository
-    const url = `https://api.github.com/repos/${repo}/releases?per_page=100`
-    const headers = { Accept: 'application/vnd.github.preview' }
-
-    if (token && typeof token === 'string' && token.length > 0) {
-      headers.Authorization = `token ${token}`
-    }
-
-    const response = await retry(
-      async () => {
-        const response = await fetch(url, { headers })
-
-        if (response.status !== 200) {
-          throw new Error(
-            `GitHub API responded with ${response.status} for url ${url}`
-          )
-        }
-
-        return response
-      },
-      { retries: 3 }
-    )
-
-    const data = await response.json()
-
-    if (!Array.isArray(data) || data.length === 0) {
-      return
-    }
-
-    const release = data.find(item => {
-      const isPre = Boolean(pre) === Boolean(item.prerelease)
-      return !item.draft && isPre
-    })
-
-    if (!release || !release.assets || !Array.isArray(release.assets)) {
-      return
-    }
+  fetchReleases() {
+    return this.source.fetchReleases()
+  }
 
+  // Turns a release from the source into an entry of the cache
+  async cacheRelease(release) {
     const { tag_name } = release
-
-    if (this.latest.version === tag_name) {
-      console.log('Cached version is the same as latest')
-      this.lastUpdate = Date.now()
-      return
+    const entry = {
+      version: tag_name,
+      notes: release.body,
+      pub_date: release.published_at,
+      prerelease: Boolean(release.prerelease),
+      channel: channels.of(tag_name, release.prerelease),
+      rollout: parseMarker(release.body),
+      rollback: downgrade.parseMarker(release.body),
+      platforms: {},
+      builds: [],
+      assets: {},
+      signature: assetSignature(release, this.rulesDigest)
     }
 
-    console.log(`Caching version ${tag_name}...`)
-
-    this.latest.version = tag_name
-    this.latest.notes = release.body
-    this.latest.pub_date = release.published_at
-
-    // Clear list of download links
-    this.latest.platforms = {}
-    
     // Store YAML files for SHA512 extraction
     const yamlFiles = {}
 
+    // The priority of the rule each platform was matched by
+    const priorities = {}
+
     for (const asset of release.assets) {
-      const { name, browser_download_url, url, content_type, size } = asset
+      const { name } = asset
+
+      // Every file of the release, so that it can be served by its name
+      entry.assets[name] = describeAsset(asset)
 
       if (name === 'RELEASES') {
         try {
-          if (!this.latest.files) {
-            this.latest.files = {}
+          if (!entry.files) {
+            entry.files = {}
           }
-          this.latest.files.RELEASES = await this.cacheReleaseList(
-            browser_download_url
-          )
+          entry.files.RELEASES = await this.cacheReleaseList(asset, release)
         } catch (err) {
-          console.error(err)
+          this.logger.error('Error caching RELEASES', {
+            version: tag_name,
+            asset: name,
+            err
+          })
         }
         continue
       }
-      
+
       // Cache YAML files for SHA512 extraction
       if (name.endsWith('.yml')) {
         try {
-          const response = await fetch(browser_download_url)
-          const yamlContent = await response.text()
-          yamlFiles[name] = yamlContent
+          yamlFiles[name] = await this.source.fetchAsset(asset)
         } catch (err) {
-          console.error(`Error fetching ${name}:`, err)
+          this.logger.error('Error fetching asset', {
+            version: tag_name,
+            asset: name,
+            err
+          })
         }
         continue
       }
 
-      const platform = checkPlatform(name)
+      const match = assetRules.match(name, this.rules)
+      const cached = match && classifyAsset(entry, asset, match, priorities)
 
-      if (!platform) {
-        continue
+      if (cached) {
+        this.logger.warn('Skipping asset of an already cached platform', {
+          version: tag_name,
+          asset: name,
+          platform: match.platform,
+          cached: cached.name
+        })
       }
+    }
 
-      this.latest.platforms[platform] = {
-        name,
-        api_url: url,
-        url: browser_download_url,
-        content_type,
-        size: Math.round(size / 1000000 * 10) / 10
-      }
+    attachBlockmaps(entry)
+
+    if (Object.keys(yamlFiles).length === 0) {
+      return entry
     }
-    
+
+    if (!entry.files) {
+      entry.files = {}
+    }
+
+    entry.files.yamlFiles = yamlFiles
+
     // Parse YAML files to extract SHA512 hashes and apply to platforms
-    if (Object.keys(yamlFiles).length > 0) {
-      if (!this.latest.files) {
-        this.latest.files = {}
+    for (const name of Object.keys(yamlFiles)) {
+      try {
+        mergeManifest(entry, yaml.load(yamlFiles[name]))
+      } catch (err) {
+        this.logger.error('Error parsing asset', {
+          version: tag_name,
+          asset: name,
+          err
+        })
       }
-      this.latest.files.yamlFiles = yamlFiles
-      
-      // Extract SHA512 from latest-mac.yml
-      if (yamlFiles['latest-mac.yml']) {
-        try {
-          const macYaml = yaml.load(yamlFiles['latest-mac.yml'])
-          if (macYaml && macYaml.files) {
-            for (const file of macYaml.files) {
-              // Match file to platform
-              const fileName = file.url
-              if (fileName) {
-                for (const [platform, data] of Object.entries(this.latest.platforms)) {
-                  if (data.name === fileName) {
-                    data.sha512 = file.sha512
-                    break
-                  }
-                }
-              }
-            }
-          }
-        } catch (err) {
-          console.error('Error parsing latest-mac.yml:', err)
-        }
+    }
+
+    return entry
+  }
+
+  // Yanked releases stay in the history, but are never
+  // served as the latest one
+  selectLatest(releases) {
+    const { pre } = this.config
+
+    return releases.find(
+      item => !item.yanked && Boolean(pre) === Boolean(item.prerelease)
+    )
+  }
+
+  // Concurrent calls share the refresh that is in flight. A `fresh` one
+  // is needed if the cache changed since that one fetched the releases
+  // (like after an eviction), and runs as soon as it settled.
+  refreshCache({ fresh = false } = {}) {
+    if (fresh && this.refreshing) {
+      if (!this.queued) {
+        this.queued = this.refreshing
+          .catch(() => {})
+          .then(() => {
+            this.queued = null
+            return this.refreshCache()
+          })
       }
-      
-      // Extract SHA512 from latest-linux.yml
-      if (yamlFiles['latest-linux.yml']) {
-        try {
-          const linuxYaml = yaml.load(yamlFiles['latest-linux.yml'])
-          if (linuxYaml && linuxYaml.files) {
-            for (const file of linuxYaml.files) {
-              const fileName = file.url
-              if (fileName) {
-                for (const [platform, data] of Object.entries(this.latest.platforms)) {
-                  if (data.name === fileName) {
-                    data.sha512 = file.sha512
-                    data.blockMapSize = file.blockMapSize
-                    break
-                  }
-                }
-              }
+
+      return this.queued
+    }
+
+    if (!this.refreshing) {
+      const { refreshDuration, refreshFailures } = this.metrics
+      const start = Date.now()
+
+      this.logger.info('Refreshing the cache')
+
+      this.refreshing = this.updateCache()
+        .then(
+          () => {
+            this.lastError = null
+            this.logger.info('Refreshed the cache', {
+              version: this.latest.version,
+              duration: Date.now() - start
+            })
+          },
+          err => {
+            this.lastError = {
+              message: err.message,
+              code: err.code,
+              date: Date.now()
             }
+
+            refreshFailures.inc()
+            this.logger.error('Error refreshing the cache', {
+              duration: Date.now() - start,
+              err
+            })
+
+            throw err
           }
-        } catch (err) {
-          console.error('Error parsing latest-linux.yml:', err)
-        }
+        )
+        .finally(() => {
+          refreshDuration.observe((Date.now() - start) / 1000)
+          this.refreshing = null
+        })
+    }
+
+    return this.refreshing
+  }
+
+  async updateCache() {
+    const data = await this.fetchReleases()
+
+    if (data.length === 0) {
+      return
+    }
+
+    try {
+      this.yanked = await loadYanked(this.config)
+    } catch (err) {
+      // Keep the versions that were yanked before
+      this.logger.error('Error loading yanked versions', { err })
+    }
+
+    const releases = []
+
+    for (const release of data) {
+      if (release.draft || !Array.isArray(release.assets)) {
+        continue
       }
-      
-      // Extract SHA512 from latest.yml (Windows)
-      if (yamlFiles['latest.yml']) {
-        try {
-          const winYaml = yaml.load(yamlFiles['latest.yml'])
-          if (winYaml && winYaml.files) {
-            for (const file of winYaml.files) {
-              const fileName = file.url
-              if (fileName) {
-                for (const [platform, data] of Object.entries(this.latest.platforms)) {
-                  if (data.name === fileName) {
-                    data.sha512 = file.sha512
-                    break
-                  }
-                }
-              }
-            }
-          }
-        } catch (err) {
-          console.error('Error parsing latest.yml:', err)
-        }
+
+      const existing = this.releases.find(
+        item => item.version === release.tag_name
+      )
+
+      // Only download the assets of releases that have changed, but always
+      // take the notes, since they might have been edited to change the rollout
+      if (existing && existing.signature === assetSignature(release, this.rulesDigest)) {
+        existing.notes = release.body
+        existing.rollout = parseMarker(release.body)
+        existing.rollback = downgrade.parseMarker(release.body)
+        existing.pub_date = release.published_at
+        existing.prerelease = Boolean(release.prerelease)
+        existing.channel = channels.of(release.tag_name, release.prerelease)
+        releases.push(existing)
+
+        continue
       }
+
+      this.logger.info('Caching release', { version: release.tag_name })
+      releases.push(await this.cacheRelease(release))
+    }
+
+    for (const release of releases) {
+      release.yanked = this.yanked.includes(release.version.replace(/^v/, ''))
     }
 
-    console.log(`Finished caching version ${tag_name}`)
+    const latest = this.selectLatest(releases)
+
+    if (!latest) {
+      return
+    }
+
+    if (this.latest.version === latest.version) {
+      this.logger.info('Cached version is unchanged', {
+        version: latest.version
+      })
+    } else {
+      this.logger.info('Cached new version', {
+        version: latest.version,
+        previous: this.latest.version
+      })
+    }
+
+    this.releases = releases
+    this.latest = latest
     this.lastUpdate = Date.now()
+
+    await this.storeCache()
+  }
+
+  async storeCache() {
+    try {
+      await this.storage.set(this.snapshot())
+    } catch (err) {
+      this.logger.error('Error storing the cache', { err })
+    }
+  }
+
+  // Removes a release right away, for example when it was deleted. The
+  // snapshot is stored too, but other instances only adopt it once their
+  // own cache is outdated.
+  async evict(version) {
+    const wanted = version.replace(/^v/, '')
+    const releases = this.releases.filter(
+      release => release.version.replace(/^v/, '') !== wanted
+    )
+
+    if (releases.length === this.releases.length) {
+      return false
+    }
+
+    this.logger.info('Evicting release', { version })
+
+    this.releases = releases
+    this.latest = this.selectLatest(releases) || {}
+
+    await this.storeCache()
+    return true
   }
 
   isOutdated() {
@@ -273,16 +482,96 @@ module.exports = class Cache {
     return false
   }
 
+  snapshot() {
+    const { releases, yanked, lastUpdate } = this
+    return { releases, yanked, lastUpdate }
+  }
+
+  restore(snapshot) {
+    this.releases = snapshot.releases || []
+    this.yanked = snapshot.yanked || []
+    this.latest = this.selectLatest(this.releases) || {}
+    this.lastUpdate = snapshot.lastUpdate
+  }
+
+  // Adopts the snapshot stored by other instances and only refreshes the
+  // cache if that one is outdated too. The lock makes sure that only one
+  // instance refreshes it, while the others keep serving the snapshot.
+  async syncCache() {
+    const { storage } = this
+
+    try {
+      const snapshot = await storage.get()
+
+      if (snapshot && snapshot.lastUpdate > (this.lastUpdate || 0)) {
+        this.restore(snapshot)
+      }
+    } catch (err) {
+      this.logger.error('Error reading the stored cache', { err })
+    }
+
+    if (this.lastUpdate && !this.isOutdated()) {
+      return
+    }
+
+    let locked = false
+
+    try {
+      locked = await storage.lock(lockTimeout)
+    } catch (err) {
+      this.logger.error('Error locking the stored cache', { err })
+    }
+
+    if (!locked && this.lastUpdate) {
+      return
+    }
+
+    try {
+      await this.refreshCache()
+    } finally {
+      if (locked) {
+        await storage.unlock().catch(err => {
+          this.logger.error('Error unlocking the stored cache', { err })
+        })
+      }
+    }
+  }
+
+  // Runs a single synchronization at a time. Failures are only logged
+  // (and exposed as `lastError`), so that clients never see them.
+  revalidate() {
+    if (!this.syncing) {
+      this.syncing = this.syncCache()
+        // The error was already logged by `refreshCache`
+        .catch(() => {})
+        .then(() => {
+          this.syncing = null
+        })
+    }
+
+    return this.syncing
+  }
+
   // This is a method returning the cache
   // because the cache would otherwise be loaded
-  // only once when the index file is parsed
+  // only once when the index file is parsed.
+  // Outdated caches are served right away, while
+  // they are refreshed in the background.
   async loadCache() {
-    const { latest, refreshCache, isOutdated, lastUpdate } = this
+    const { revalidate, isOutdated, lastUpdate } = this
 
-    if (!lastUpdate || isOutdated()) {
-      await refreshCache()
+    if (!lastUpdate) {
+      await revalidate()
+    } else if (isOutdated()) {
+      revalidate()
     }
 
-    return Object.assign({}, latest)
+    return Object.assign({}, this.latest)
+  }
+
+  // Returns every cached release, newest first
+  async loadReleases() {
+    await this.loadCache()
+    return this.releases.slice()
   }
 }
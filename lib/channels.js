@@ -0,0 +1,61 @@
+// Packages
+const { valid, gt, prerelease } = require('semver')
+
+// Ordered from the most to the least stable channel
+const order = ['stable', 'rc', 'beta', 'alpha']
+
+// Turns `latest` (the name electron-updater uses) into `stable`
+exports.normalize = name => {
+  if (!name || typeof name !== 'string' || !/^[a-z0-9]+$/i.test(name)) {
+    return false
+  }
+
+  const channel = name.toLowerCase()
+  return channel === 'latest' ? 'stable' : channel
+}
+
+// Derives the channel from the pre-release tag of the version,
+// falling back to `beta` for releases marked as pre-release on GitHub
+exports.of = (version, isPrerelease) => {
+  const identifiers = valid(version) ? prerelease(version) : null
+
+  if (identifiers && typeof identifiers[0] === 'string') {
+    return identifiers[0].toLowerCase()
+  }
+
+  return (identifiers || isPrerelease) ? 'beta' : 'stable'
+}
+
+// Every channel receives its own releases and the ones of more stable
+// channels, so clients on beta are offered stable releases too
+exports.includes = (channel, candidate) => {
+  if (candidate === channel || candidate === 'stable') {
+    return true
+  }
+
+  const wanted = order.indexOf(channel)
+  const position = order.indexOf(candidate)
+
+  return wanted !== -1 && position !== -1 && position <= wanted
+}
+
+// Finds the newest release a client on the channel should receive,
+// skipping the ones that were yanked
+exports.latest = (releases, channel) => {
+  const candidates = releases.filter(
+    release => !release.yanked && exports.includes(channel, release.channel)
+  )
+
+  const versioned = candidates.filter(release => valid(release.version))
+
+  if (versioned.length === 0) {
+    return candidates[0]
+  }
+
+  return versioned.reduce(
+    (newest, release) => (gt(release.version, newest.version) ? release : newest)
+  )
+}
+
+// The base name of the manifests electron-updater requests for the channel
+exports.fileName = channel => (channel === 'stable' ? 'latest' : channel)
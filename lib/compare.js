@@ -0,0 +1,10 @@
+// Native
+const crypto = require('crypto')
+
+// Hashing both sides makes them equally long, which
+// is required for comparing them in constant time
+const digest = value => crypto.createHash('sha256').update(String(value)).digest()
+
+// Compares secrets (like tokens and signatures) without revealing
+// how much of them matched through the time it took
+module.exports = (a, b) => crypto.timingSafeEqual(digest(a), digest(b))
@@ -0,0 +1,422 @@
+// Native
+const fs = require('fs')
+const path = require('path')
+
+// Packages
+const ms = require('ms')
+const yaml = require('js-yaml')
+
+// Utilities
+const { compile } = require('./platform')
+const archs = require('./arch')
+const channels = require('./channels')
+
+// Looked up in the working directory if `HAZEL_CONFIG` isn't defined
+const fileNames = ['hazel.config.json', 'hazel.config.yml', 'hazel.config.yaml']
+
+// Every option and the environment variable it can be set with
+const variables = {
+  interval: 'INTERVAL',
+  account: 'ACCOUNT',
+  repository: 'REPOSITORY',
+  pre: 'PRE',
+  token: 'TOKEN',
+  url: 'URL',
+  streamDownloads: 'STREAM_DOWNLOADS',
+  rollout: 'ROLLOUT',
+  source: 'SOURCE',
+  sourceUrl: 'SOURCE_URL',
+  directory: 'DIRECTORY',
+  downgrade: 'DOWNGRADE',
+  yanked: 'YANKED',
+  yankedFile: 'YANKED_FILE',
+  adminToken: 'ADMIN_TOKEN',
+  webhookSecret: 'WEBHOOK_SECRET',
+  clientTokens: 'CLIENT_TOKENS',
+  signingSecret: 'SIGNING_SECRET',
+  signedUrlTtl: 'SIGNED_URL_TTL',
+  storage: 'STORAGE',
+  storagePath: 'STORAGE_PATH',
+  storagePrefix: 'STORAGE_PREFIX',
+  redisUrl: 'REDIS_URL',
+  readyIntervals: 'READY_INTERVALS',
+  analytics: 'ANALYTICS',
+  analyticsPath: 'ANALYTICS_PATH',
+  analyticsUrl: 'ANALYTICS_URL',
+  statsWindow: 'STATS_WINDOW',
+  logLevel: 'LOG_LEVEL',
+  logFormat: 'LOG_FORMAT',
+  aliases: 'ALIASES',
+  patterns: 'PATTERNS',
+  platformRules: 'PLATFORM_RULES'
+}
+
+// The type of every option. Options that can also be
+// objects accept custom implementations when using
+// Hazel programmatically.
+const schema = {
+  interval: 'duration',
+  account: 'string',
+  repository: 'string',
+  pre: 'boolean',
+  token: 'string',
+  url: 'string',
+  streamDownloads: 'boolean',
+  rollout: 'map',
+  source: 'implementation',
+  sourceUrl: 'string',
+  directory: 'string',
+  downgrade: 'string',
+  yanked: 'list',
+  yankedFile: 'string',
+  adminToken: 'string',
+  webhookSecret: 'string',
+  clientTokens: 'tokens',
+  signingSecret: 'string',
+  signedUrlTtl: 'duration',
+  storage: 'implementation',
+  storagePath: 'string',
+  storagePrefix: 'string',
+  redisUrl: 'string',
+  readyIntervals: 'number',
+  analytics: 'implementation',
+  analyticsPath: 'string',
+  analyticsUrl: 'string',
+  statsWindow: 'duration',
+  logLevel: 'string',
+  logFormat: 'string',
+  aliases: 'aliases',
+  patterns: 'patterns',
+  platformRules: 'rules',
+  configFile: 'string'
+}
+
+const label = key => variables[key] || key
+
+const invalid = (message, code = 'invalid_configuration_properties') => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Values from the environment and files are parsed
+// as JSON if they look like objects or arrays
+const parseObject = (key, value) => {
+  if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) {
+    return value
+  }
+
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    throw invalid(`${label(key)} is not valid JSON`)
+  }
+}
+
+const toList = value =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean)
+
+const types = {
+  string: (key, value) => {
+    if (typeof value !== 'string') {
+      throw invalid(`${label(key)} must be a string`)
+    }
+
+    return value
+  },
+
+  boolean: (key, value) => {
+    if (typeof value === 'boolean') {
+      return value
+    }
+
+    const text = String(value)
+      .trim()
+      .toLowerCase()
+
+    if (['true', '1', 'yes', 'on'].includes(text)) {
+      return true
+    }
+
+    if (['false', '0', 'no', 'off', ''].includes(text)) {
+      return false
+    }
+
+    throw invalid(`${label(key)} must be a boolean (true or false)`)
+  },
+
+  number: (key, value) => {
+    const number = Number(value)
+
+    if (value === '' || !Number.isFinite(number) || number <= 0) {
+      throw invalid(`${label(key)} must be a positive number`)
+    }
+
+    return number
+  },
+
+  // Plain numbers are minutes, like before durations were supported
+  duration: (key, value) => {
+    const text = String(value).trim()
+    const milliseconds = /^\d+(\.\d+)?$/.test(text)
+      ? Number(text) * ms('1m')
+      : ms(text)
+
+    if (typeof milliseconds !== 'number' || !(milliseconds > 0)) {
+      throw invalid(`${label(key)} must be a duration, like 15 (minutes) or 1h`)
+    }
+
+    return milliseconds / ms('1m')
+  },
+
+  list: (key, value) => {
+    const list = parseObject(key, value)
+
+    if (typeof list !== 'string' && !Array.isArray(list)) {
+      throw invalid(`${label(key)} must be a list`)
+    }
+
+    return list
+  },
+
+  map: (key, value) => {
+    const map = parseObject(key, value)
+
+    if (typeof map !== 'string' && (typeof map !== 'object' || !map)) {
+      throw invalid(`${label(key)} must be a string or an object`)
+    }
+
+    return map
+  },
+
+  implementation: (key, value) => {
+    if (typeof value !== 'string' && (typeof value !== 'object' || !value)) {
+      throw invalid(`${label(key)} must be a string`)
+    }
+
+    return value
+  },
+
+  // Maps platforms to the names they can also be requested with
+  aliases: (key, value) => {
+    const map = parseObject(key, value)
+
+    if (typeof map !== 'object' || !map || Array.isArray(map)) {
+      throw invalid(`${label(key)} must map platforms to lists of aliases`)
+    }
+
+    const aliases = {}
+
+    for (const platform of Object.keys(map)) {
+      aliases[platform] = toList(map[platform])
+    }
+
+    return aliases
+  },
+
+  // Maps platforms to regular expressions matching the names of assets
+  patterns: (key, value) => {
+    const map = parseObject(key, value)
+
+    if (typeof map !== 'object' || !map || Array.isArray(map)) {
+      throw invalid(`${label(key)} must map platforms to regular expressions`)
+    }
+
+    for (const platform of Object.keys(map)) {
+      try {
+        new RegExp(map[platform], 'i') // eslint-disable-line no-new
+      } catch (err) {
+        throw invalid(`${label(key)} contains an invalid pattern for ${platform}`)
+      }
+    }
+
+    return map
+  },
+
+  // A list of rules mapping assets to platforms, see `lib/platform.js`
+  rules: (key, value) => {
+    const rules = parseObject(key, value)
+
+    if (!Array.isArray(rules)) {
+      throw invalid(`${label(key)} must be a list of rules`)
+    }
+
+    compile({ platformRules: rules })
+    return rules
+  },
+
+  // Either a list of tokens that can access everything, or a map of
+  // tokens to the channels and platforms they can access, like
+  // `{"abc": {"channels": ["beta"], "platforms": ["darwin"]}}`
+  tokens: (key, value) => {
+    const parsed = parseObject(key, value)
+    const tokens = {}
+
+    if (typeof parsed === 'string' || Array.isArray(parsed)) {
+      for (const token of toList(parsed)) {
+        tokens[token] = { channels: null, platforms: null }
+      }
+
+      return tokens
+    }
+
+    if (typeof parsed !== 'object' || !parsed) {
+      throw invalid(`${label(key)} must be a list of tokens or an object`)
+    }
+
+    for (const token of Object.keys(parsed)) {
+      const access = parsed[token] || {}
+
+      if (typeof access !== 'object' || Array.isArray(access)) {
+        throw invalid(
+          `${label(key)} must map every token to the channels and platforms it can access`
+        )
+      }
+
+      const allowed = access.channels
+        ? toList(access.channels).map(channels.normalize)
+        : null
+
+      if (allowed && allowed.includes(false)) {
+        throw invalid(`${label(key)} contains an invalid channel`)
+      }
+
+      tokens[token] = {
+        channels: allowed,
+        platforms: access.platforms ? toList(access.platforms) : null
+      }
+    }
+
+    return tokens
+  }
+}
+
+// Reads the options from the environment, trimming whitespace
+// from all of them to prevent issues
+exports.fromEnv = (env, cwd = process.cwd()) => {
+  const config = {}
+
+  for (const key of Object.keys(variables)) {
+    const value = env[variables[key]]
+
+    if (typeof value === 'string') {
+      config[key] = value.trim()
+    }
+  }
+
+  const url = env.VERCEL_URL || env.URL
+  config.url = url ? url.trim() : undefined
+
+  if (env.HAZEL_CONFIG) {
+    config.configFile = env.HAZEL_CONFIG.trim()
+  } else {
+    const found = fileNames
+      .map(name => path.join(cwd, name))
+      .find(file => fs.existsSync(file))
+
+    config.configFile = found
+  }
+
+  return config
+}
+
+exports.readFile = file => {
+  let content
+
+  try {
+    content = fs.readFileSync(file, 'utf8')
+  } catch (err) {
+    throw invalid(
+      `The configuration file ${file} could not be read`,
+      'invalid_configuration_file'
+    )
+  }
+
+  let options
+
+  try {
+    options = /\.ya?ml$/.test(file) ? yaml.load(content) : JSON.parse(content)
+  } catch (err) {
+    throw invalid(
+      `The configuration file ${file} could not be parsed: ${err.message}`,
+      'invalid_configuration_file'
+    )
+  }
+
+  if (typeof options !== 'object' || !options || Array.isArray(options)) {
+    throw invalid(
+      `The configuration file ${file} must contain an object`,
+      'invalid_configuration_file'
+    )
+  }
+
+  for (const key of Object.keys(options)) {
+    if (!schema[key] || key === 'configFile') {
+      throw invalid(
+        `The configuration file ${file} contains the unknown option ${key}`,
+        'invalid_configuration_file'
+      )
+    }
+  }
+
+  return options
+}
+
+// Converts every option to its type, leaving unknown ones untouched
+exports.validate = config => {
+  const validated = Object.assign({}, config)
+
+  for (const key of Object.keys(config)) {
+    const value = config[key]
+
+    if (typeof value === 'undefined' || value === null || !schema[key]) {
+      continue
+    }
+
+    validated[key] = types[schema[key]](key, value)
+  }
+
+  // Platforms of custom patterns and rules can be requested by their name
+  const custom = Object.keys(validated.patterns || {}).concat(
+    (validated.platformRules || [])
+      .filter(rule => !rule.ignore)
+      .map(({ platform, arch }) => archs.key(platform, arch))
+  )
+
+  if (custom.length > 0) {
+    validated.aliases = Object.assign({}, validated.aliases)
+
+    for (const platform of custom) {
+      if (!validated.aliases[platform]) {
+        validated.aliases[platform] = []
+      }
+    }
+  }
+
+  // Clients receive signed links to Hazel itself, which need both
+  if (validated.clientTokens && (!validated.signingSecret || !validated.url)) {
+    throw invalid(
+      'CLIENT_TOKENS requires SIGNING_SECRET and URL to be defined',
+      'missing_configuration_properties'
+    )
+  }
+
+  return validated
+}
+
+// Options passed directly (or through the environment)
+// take precedence over the ones in the file
+exports.load = config => {
+  const { configFile } = config
+  const options = configFile ? exports.readFile(configFile) : {}
+
+  for (const key of Object.keys(config)) {
+    if (typeof config[key] !== 'undefined') {
+      options[key] = config[key]
+    }
+  }
+
+  return exports.validate(options)
+}
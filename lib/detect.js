@@ -0,0 +1,124 @@
+// Packages
+const { parse } = require('express-useragent')
+
+// Utilities
+const archs = require('./arch')
+
+// Client hints that browsers only send once they were asked for them
+const hints = ['Sec-CH-UA-Platform', 'Sec-CH-UA-Arch', 'Sec-CH-UA-Bitness']
+
+const debian = /(ubuntu|debian|mint|pop!_os|elementary|raspbian|kali|zorin)/i
+const redHat = /(fedora|red hat|rhel|centos|rocky|almalinux|opensuse|suse)/i
+
+// Builds that run on another architecture through emulation
+const emulated = {
+  darwin: { arm64: ['x64'] },
+  win32: { arm64: ['x64'] }
+}
+
+// Formats meant for humans come first, since `/download` is usually
+// opened in a browser (unlike updates, which need the archives)
+const formats = {
+  darwin: ['dmg', 'pkg', 'zip'],
+  win32: ['exe', 'msi', 'portable']
+}
+
+// Client hints are structured headers, like `"macOS"`
+const hint = (req, name) => {
+  const value = req.headers[name.toLowerCase()]
+  return value ? value.replace(/"/g, '').trim() : null
+}
+
+const detectOs = (req, agent) => {
+  const platform = hint(req, 'Sec-CH-UA-Platform')
+
+  if (platform) {
+    return (
+      { macos: 'darwin', windows: 'win32', linux: 'linux' }[
+        platform.toLowerCase()
+      ] || null
+    )
+  }
+
+  if (agent.isMobile || agent.isAndroid || agent.isiPad || agent.isiPhone) {
+    return null
+  }
+
+  if (agent.isMac) {
+    return 'darwin'
+  }
+
+  if (agent.isWindows) {
+    return 'win32'
+  }
+
+  return agent.isLinux ? 'linux' : null
+}
+
+const detectArch = (req, os) => {
+  const header = req.headers['user-agent'] || ''
+  const arch = hint(req, 'Sec-CH-UA-Arch')
+  const bitness = hint(req, 'Sec-CH-UA-Bitness')
+
+  if (arch) {
+    if (arch === 'arm') {
+      return bitness === '32' ? 'armv7l' : 'arm64'
+    }
+
+    return bitness === '32' ? 'ia32' : 'x64'
+  }
+
+  // Browsers on Macs claim to run on Intel, even on Apple Silicon
+  if (/(arm64|aarch64)/i.test(header)) {
+    return 'arm64'
+  }
+
+  if (/armv7/i.test(header)) {
+    return 'armv7l'
+  }
+
+  if (os === 'win32' && !/(win64|wow64|x64|amd64)/i.test(header)) {
+    return 'ia32'
+  }
+
+  return /(i[36]86)/i.test(header) && !/x86_64/i.test(header) ? 'ia32' : 'x64'
+}
+
+// Lists the keys of the platforms that suit the client (most suitable
+// first) and the formats it prefers, like `.deb` files on Ubuntu
+const detect = (req, isUpdate) => {
+  const header = req.headers['user-agent'] || ''
+  const os = detectOs(req, parse(header))
+
+  if (!os) {
+    return null
+  }
+
+  const arch = detectArch(req, os)
+  let platforms = [os]
+
+  if (os === 'linux') {
+    if (debian.test(header)) {
+      platforms = ['deb', 'linux']
+    } else if (redHat.test(header)) {
+      platforms = ['rpm', 'linux']
+    }
+  }
+
+  const fallbacks = (emulated[os] && emulated[os][arch]) || []
+  const keys = []
+
+  for (const platform of platforms) {
+    for (const candidate of [arch, 'universal'].concat(fallbacks)) {
+      keys.push(archs.key(platform, candidate))
+    }
+  }
+
+  // Squirrel.Mac only updates from archives
+  const preferred =
+    isUpdate && os === 'darwin' ? ['zip'] : formats[os] || []
+
+  return { os, arch, keys, formats: preferred }
+}
+
+module.exports = Object.assign(detect, { hints })
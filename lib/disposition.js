@@ -0,0 +1,19 @@
+// Percent-encodes the characters `encodeURIComponent` leaves
+// alone, but which RFC 5987 doesn't allow in values
+const encode = name =>
+  encodeURIComponent(name).replace(
+    /['()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  )
+
+// Builds a `Content-Disposition` header for downloading a file, like
+// RFC 6266 describes it: headers may only contain Latin-1, so names with
+// other characters (like `Hyper-日本.dmg`) get an ASCII fallback, and the
+// actual name is sent UTF-8 encoded in `filename*`
+module.exports = name => {
+  const fallback = name.replace(/[^\u0020-\u007E]/g, '?')
+  const quoted = fallback.replace(/["\\]/g, '\\$&')
+  const header = `attachment; filename="${quoted}"`
+
+  return fallback === name ? header : `${header}; filename*=UTF-8''${encode(name)}`
+}
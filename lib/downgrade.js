@@ -0,0 +1,43 @@
+// Packages
+const { lt } = require('semver')
+
+const policies = ['never', 'rollback', 'always']
+
+// Matches the `<!-- rollback -->` marker inside of release notes
+const marker = /<!--\s*rollback\s*-->/i
+
+const normalizeVersion = version => String(version).trim().replace(/^v/, '')
+
+exports.isPolicy = policy => policies.includes(policy)
+
+exports.parseMarker = notes =>
+  Boolean(notes && typeof notes === 'string' && marker.test(notes))
+
+// Turns `1.2.0, 1.2.1` (or an array) into a list of versions
+exports.parseList = value => {
+  if (!value) {
+    return []
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',')
+  return list.map(normalizeVersion).filter(Boolean)
+}
+
+// Decides whether a client may be offered an older release. With the
+// default `rollback` policy, that's only the case if the release is
+// marked as a rollback or if the version of the client was yanked.
+exports.isAllowed = ({ policy = 'rollback', target, from, yanked = [] }) => {
+  if (!lt(target.version, from)) {
+    return true
+  }
+
+  if (policy === 'always') {
+    return true
+  }
+
+  if (policy === 'never') {
+    return false
+  }
+
+  return Boolean(target.rollback) || yanked.includes(normalizeVersion(from))
+}
@@ -0,0 +1,77 @@
+// Packages
+const { send } = require('micro')
+const ms = require('ms')
+
+// Describes the state of the cache, without ever blocking on a refresh
+const describe = cache => {
+  const { latest, lastUpdate, lastError, refreshing, source } = cache
+  const files = latest.files || {}
+  const manifests = Object.keys(files.yamlFiles || {})
+
+  if (files.RELEASES) {
+    manifests.unshift('RELEASES')
+  }
+
+  return {
+    version: latest.version || null,
+    lastUpdate,
+    lastError,
+    refreshing: Boolean(refreshing),
+    rateLimitRemaining:
+      source.rateLimit && typeof source.rateLimit.remaining === 'number'
+        ? source.rateLimit.remaining
+        : null,
+    platforms: Object.keys(latest.platforms || {}),
+    manifests
+  }
+}
+
+module.exports = ({ cache, config, metrics, analytics }) => {
+  const exports = {}
+  const { interval = 15, readyIntervals = 3 } = config
+
+  // The process is up and able to respond
+  exports.health = async (req, res) => {
+    send(
+      res,
+      200,
+      Object.assign(
+        { status: cache.lastError ? 'degraded' : 'ok' },
+        describe(cache)
+      )
+    )
+  }
+
+  // The cache holds a release with at least one platform
+  // and was refreshed within the last few intervals
+  exports.ready = async (req, res) => {
+    const details = describe(cache)
+    const maxAge = ms(`${interval}m`) * readyIntervals
+    const isFresh = details.lastUpdate && Date.now() - details.lastUpdate <= maxAge
+    const isReady = Boolean(details.version && details.platforms.length > 0 && isFresh)
+
+    // Nothing else might be loading the cache on a cold start
+    if (!details.lastUpdate || cache.isOutdated()) {
+      cache.revalidate()
+    }
+
+    send(
+      res,
+      isReady ? 200 : 503,
+      Object.assign({ status: isReady ? 'ready' : 'not_ready' }, details)
+    )
+  }
+
+  // Counters of the process in the text format of Prometheus
+  exports.metrics = async (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+    send(res, 200, metrics.render(cache))
+  }
+
+  // Counts the events of the recent requests
+  exports.stats = async (req, res) => {
+    send(res, 200, analytics.summary())
+  }
+
+  return exports
+}
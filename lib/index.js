@@ -1,14 +1,40 @@
+// Native
+const crypto = require('crypto')
+const urlHelpers = require('url')
+
 // Packages
 const Router = require('router')
 const finalhandler = require('finalhandler')
 const Cache = require('./cache')
+const createMetrics = require('./metrics')
+const createAnalytics = require('./analytics')
+const Logger = require('./logger')
+const { load } = require('./config')
+
+// IDs of requests passed on by proxies are kept, if they look sane
+const requestId = req => {
+  const header = req.headers['x-request-id']
+
+  if (header && /^[\w-]{1,128}$/.test(header)) {
+    return header
+  }
+
+  return crypto.randomBytes(8).toString('hex')
+}
 
-module.exports = config => {
+module.exports = options => {
   const router = Router()
+  const metrics = createMetrics()
   let cache = null;
+  let analytics = null;
+  let logger = null;
+  let config = null;
 
   try {
-    cache = new Cache(config)
+    config = load(options)
+    logger = new Logger(config)
+    cache = new Cache(config, { metrics, logger })
+    analytics = createAnalytics(config, logger)
   } catch (err) {
     const { code, message } = err
 
@@ -28,22 +54,73 @@ module.exports = config => {
     throw err
   }
 
-  const routes = require('./routes')({ cache, config })
+  const routes = require('./routes')({ cache, config, metrics, analytics })
+  const admin = require('./admin')({ cache, config })
+  const webhook = require('./webhook')({ cache, config })
+  const health = require('./health')({ cache, config, metrics, analytics })
 
   // Define a route for every relevant path
   router.get('/', routes.overview)
   router.get('/download', routes.download)
   router.get('/download/:platform', routes.downloadPlatform)
+  router.get('/download/:platform/:version', routes.downloadVersion)
   router.get('/update/:platform/:version', routes.update)
+  router.get('/update/:platform/:arch/:version', routes.update)
   router.get('/update/win32/:version/RELEASES', routes.releases)
+  router.get('/releases.json', routes.releaseList)
+  router.get('/files/:version/:name', routes.file)
   // YAML endpoints for auto-updater
   router.get('/latest.yml', routes.yamlWin)
   router.get('/latest-mac.yml', routes.yamlMac)
   router.get('/latest-linux.yml', routes.yamlLinux)
   // Windows also looks for latest.yml at version-specific path
   router.get('/update/win32/:version/latest.yml', routes.yamlWin)
+  // Files the manifests refer to relative to themselves
+  router.get('/update/win32/:version/:name', routes.asset)
+  router.get('/healthz', health.health)
+  router.get('/readyz', health.ready)
+  router.get('/metrics', health.metrics)
+  router.get('/stats', health.stats)
+  // Admin endpoints, protected by ADMIN_TOKEN
+  router.post('/admin/refresh', admin.refresh)
+  router.get('/admin/cache', admin.cache)
+  router.get('/admin/config', admin.config)
+  // Refreshes the cache when a release changes on GitHub
+  router.post('/webhook/github', webhook.github)
+  // Channel-aware endpoints
+  router.get('/download/:channel/:platform', routes.downloadPlatform)
+  router.get('/update/:channel/:platform/:version', routes.update)
+  router.get('/update/:channel/win32/:version/RELEASES', routes.releases)
+  router.get('/update/:channel/win32/:version/latest.yml', routes.yamlWin)
+  router.get('/update/:channel/:platform/:arch/:version', routes.update)
+  router.get('/:channel-mac.yml', routes.yamlMac)
+  router.get('/:channel-linux.yml', routes.yamlLinux)
+  router.get('/:channel.yml', routes.yamlWin)
+  router.get('/update/:channel/win32/:version/:name', routes.asset)
+  router.get('/:name', routes.asset)
 
   return (req, res) => {
+    const start = Date.now()
+    const id = requestId(req)
+
+    req.log = logger.child({ requestId: id })
+    res.setHeader('X-Request-Id', id)
+
+    res.once('finish', () => {
+      const { route, platform } = req.event
+        ? analytics.describe(req, res.statusCode, req.event)
+        : {}
+
+      req.log.info('Handled request', {
+        method: req.method,
+        path: urlHelpers.parse(req.url).pathname,
+        status: res.statusCode,
+        latency: Date.now() - start,
+        route,
+        platform
+      })
+    })
+
     router(req, res, finalhandler(req, res))
   }
 }
@@ -0,0 +1,98 @@
+// Ordered from the most to the least verbose level
+const levels = ['debug', 'info', 'warn', 'error', 'silent']
+const formats = ['text', 'json']
+
+// Errors don't survive `JSON.stringify` on their own
+const serialize = value => {
+  if (!(value instanceof Error)) {
+    return value
+  }
+
+  const { message, code, status, stack } = value
+  return { message, code, status, stack }
+}
+
+const formatValue = value => {
+  if (typeof value === 'string' && !/[\s"=]/.test(value)) {
+    return value
+  }
+
+  return JSON.stringify(value)
+}
+
+module.exports = class Logger {
+  constructor(config = {}, fields = {}) {
+    const { logLevel = 'info', logFormat = 'text' } = config
+
+    if (!levels.includes(logLevel)) {
+      const error = new Error(`LOG_LEVEL must be one of ${levels.join(', ')}`)
+      error.code = 'invalid_configuration_properties'
+      throw error
+    }
+
+    if (!formats.includes(logFormat)) {
+      const error = new Error(`LOG_FORMAT must be one of ${formats.join(', ')}`)
+      error.code = 'invalid_configuration_properties'
+      throw error
+    }
+
+    this.config = config
+    this.fields = fields
+    this.threshold = levels.indexOf(logLevel)
+    this.format = logFormat
+
+    this.child = this.child.bind(this)
+    this.write = this.write.bind(this)
+    this.debug = this.write.bind(this, 'debug')
+    this.info = this.write.bind(this, 'info')
+    this.warn = this.write.bind(this, 'warn')
+    this.error = this.write.bind(this, 'error')
+  }
+
+  // Carries the fields (like the ID of a request) into every entry
+  child(fields) {
+    return new Logger(this.config, Object.assign({}, this.fields, fields))
+  }
+
+  write(level, message, fields = {}) {
+    if (levels.indexOf(level) < this.threshold) {
+      return
+    }
+
+    const time = new Date().toISOString()
+    const stream = ['warn', 'error'].includes(level)
+      ? process.stderr
+      : process.stdout
+
+    const details = Object.assign({}, this.fields, fields)
+
+    for (const key of Object.keys(details)) {
+      if (typeof details[key] === 'undefined') {
+        delete details[key]
+      } else {
+        details[key] = serialize(details[key])
+      }
+    }
+
+    if (this.format === 'json') {
+      const entry = Object.assign({ time, level, message }, details)
+      stream.write(`${JSON.stringify(entry)}\n`)
+
+      return
+    }
+
+    const { err } = details
+    delete details.err
+
+    const pairs = Object.keys(details).map(
+      key => `${key}=${formatValue(details[key])}`
+    )
+
+    if (err) {
+      pairs.push(`err=${formatValue(err.message)}`)
+    }
+
+    const line = [time, level.toUpperCase(), message, ...pairs].join(' ')
+    stream.write(`${line}\n${err && err.stack ? `${err.stack}\n` : ''}`)
+  }
+}
@@ -0,0 +1,167 @@
+// A minimal registry of metrics, rendered in the text format of Prometheus
+
+const escape = value =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"')
+
+const formatLabels = labels => {
+  const keys = Object.keys(labels)
+
+  if (keys.length === 0) {
+    return ''
+  }
+
+  return `{${keys.map(key => `${key}="${escape(labels[key])}"`).join(',')}}`
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type
+    this.name = name
+    this.help = help
+    this.values = new Map()
+  }
+
+  entry(labels) {
+    const key = formatLabels(labels)
+
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, value: 0 })
+    }
+
+    return this.values.get(key)
+  }
+
+  lines() {
+    return Array.from(this.values.values()).map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+    )
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.lines()
+    ].join('\n')
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help)
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help)
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value
+  }
+
+  reset() {
+    this.values.clear()
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help)
+    this.buckets = buckets
+    this.counts = buckets.map(() => 0)
+    this.sum = 0
+    this.count = 0
+  }
+
+  observe(value) {
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) {
+        this.counts[index] += 1
+      }
+    })
+
+    this.sum += value
+    this.count += 1
+  }
+
+  lines() {
+    return [
+      ...this.buckets.map(
+        (bucket, index) =>
+          `${this.name}_bucket{le="${bucket}"} ${this.counts[index]}`
+      ),
+      `${this.name}_bucket{le="+Inf"} ${this.count}`,
+      `${this.name}_sum ${this.sum}`,
+      `${this.name}_count ${this.count}`
+    ]
+  }
+}
+
+module.exports = () => {
+  const metrics = {
+    updateChecks: new Counter(
+      'hazel_update_checks_total',
+      'Update checks by platform, client version and outcome'
+    ),
+    downloads: new Counter(
+      'hazel_downloads_total',
+      'Downloads by route and platform'
+    ),
+    manifests: new Counter(
+      'hazel_manifest_requests_total',
+      'Requests for YAML and RELEASES manifests'
+    ),
+    refreshDuration: new Histogram(
+      'hazel_cache_refresh_duration_seconds',
+      'Duration of cache refreshes',
+      [0.1, 0.5, 1, 2.5, 5, 10, 30, 60]
+    ),
+    refreshFailures: new Counter(
+      'hazel_cache_refresh_failures_total',
+      'Failed cache refreshes'
+    ),
+    cachedVersion: new Gauge(
+      'hazel_cached_version',
+      'The currently cached version'
+    ),
+    lastUpdate: new Gauge(
+      'hazel_cache_last_update_timestamp_seconds',
+      'Time of the last successful cache refresh'
+    )
+  }
+
+  // Gauges are collected from the cache when rendering
+  metrics.render = cache => {
+    const { cachedVersion, lastUpdate } = metrics
+
+    cachedVersion.reset()
+
+    if (cache.latest.version) {
+      cachedVersion.set({ version: cache.latest.version }, 1)
+    }
+
+    lastUpdate.set({}, cache.lastUpdate ? cache.lastUpdate / 1000 : 0)
+
+    return (
+      Object.keys(metrics)
+        .filter(key => metrics[key] instanceof Metric)
+        .map(key => metrics[key].render())
+        .join('\n\n') + '\n'
+    )
+  }
+
+  // Maps the status of a response to the outcome of an update check
+  metrics.outcome = status =>
+    status === 200 || status === 204 ? String(status) : 'error'
+
+  return metrics
+}
@@ -0,0 +1,76 @@
+// Packages
+const { valid, gt, lte, prerelease } = require('semver')
+const { marked } = require('marked')
+
+const formats = ['markdown', 'html', 'text']
+
+const entities = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'"
+}
+
+const toText = markdown =>
+  marked
+    .parse(markdown)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39);/g, entity => entities[entity])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+
+exports.isFormat = format => formats.includes(format)
+
+exports.render = (markdown, format = 'markdown') => {
+  if (!markdown) {
+    return ''
+  }
+
+  if (format === 'html') {
+    return marked.parse(markdown).trim()
+  }
+
+  if (format === 'text') {
+    return toText(markdown)
+  }
+
+  return markdown
+}
+
+// Collects the notes of every release the client hasn't seen yet, newest
+// first. Pre-releases are skipped unless the target is one itself, since
+// they were never offered to clients on stable releases.
+exports.collect = (releases, from, target) => {
+  if (!valid(from) || !valid(target.version) || !gt(target.version, from)) {
+    return [{ version: target.version, note: target.notes }]
+  }
+
+  const includePre = Boolean(prerelease(target.version))
+
+  return releases
+    .filter(({ version }) => {
+      if (!valid(version) || (prerelease(version) && !includePre)) {
+        return false
+      }
+
+      return gt(version, from) && lte(version, target.version)
+    })
+    .sort((a, b) => (gt(a.version, b.version) ? -1 : 1))
+    .map(({ version, notes }) => ({ version, note: notes }))
+}
+
+// Merges the notes into a single document, keeping the notes of a
+// single release untouched
+exports.combine = (entries, format = 'markdown') => {
+  if (entries.length === 1) {
+    return exports.render(entries[0].note, format)
+  }
+
+  const markdown = entries
+    .map(({ version, note }) => `## ${version}\n\n${note || ''}`.trim())
+    .join('\n\n')
+
+  return exports.render(markdown, format)
+}
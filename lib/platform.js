@@ -1,38 +1,159 @@
-// Native
-const { extname } = require('path')
+// Utilities
+const archs = require('./arch')
 
-module.exports = fileName => {
-  const extension = extname(fileName).slice(1)
-  const arch = (fileName.includes('arm64') || fileName.includes('aarch64')) ? '_arm64' : ''
+// Every rule maps the names of assets (matched by a glob like `*.dmg`
+// or a regular expression like `/\.dmg$/i`) to a platform, optionally
+// with an architecture (which is detected from the name otherwise) and
+// a format. Rules are tried from the highest to the lowest priority (and
+// in order for equal priorities), and the first matching one wins. If
+// several assets of a release end up on the same platform, the one
+// matched by the rule with the highest priority is served. Ignored
+// assets are never served for a platform.
+const defaults = [
+  { match: '*.blockmap', ignore: true, priority: 100 },
 
-  // Map .dmg files to darwin platform for macOS compatibility
-  if (extension === 'dmg') {
-    return 'darwin' + arch
+  // Squirrel.Mac only accepts archives, so they're preferred over images
+  {
+    match: '/(mac|darwin).*\\.zip$/i',
+    platform: 'darwin',
+    format: 'zip',
+    priority: 20
+  },
+  { match: '*.dmg', platform: 'darwin', format: 'dmg', priority: 10 },
+  { match: '*.AppImage', platform: 'linux', format: 'AppImage', priority: 10 },
+
+  // Installers are preferred over portable executables
+  {
+    match: '/^(?!.*portable).*\\.exe$/i',
+    platform: 'win32',
+    format: 'exe',
+    priority: 10
+  },
+  { match: '*.exe', platform: 'win32', format: 'portable', priority: 5 },
+  { match: '*.deb', platform: 'deb', format: 'deb', priority: 10 },
+  { match: '*.rpm', platform: 'rpm', format: 'rpm', priority: 10 }
+]
+
+// Rules from the configuration are tried before the default ones
+const customPriority = 50
+
+const invalid = message => {
+  const error = new Error(message)
+  error.code = 'invalid_configuration_properties'
+  return error
+}
+
+const escape = char => char.replace(/[.+^$()|[\]\\]/g, '\\$&')
+
+// Supports `*`, `?` and alternatives like `{mac,darwin}`
+const fromGlob = glob => {
+  let depth = 0
+  let source = ''
+
+  for (const char of glob) {
+    if (char === '*') {
+      source += '.*'
+    } else if (char === '?') {
+      source += '.'
+    } else if (char === '{') {
+      depth += 1
+      source += '('
+    } else if (char === '}' && depth > 0) {
+      depth -= 1
+      source += ')'
+    } else if (char === ',' && depth > 0) {
+      source += '|'
+    } else {
+      source += escape(char)
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i')
+}
+
+const toPattern = match => {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(match)
+
+  try {
+    return regex ? new RegExp(regex[1], regex[2]) : fromGlob(match)
+  } catch (err) {
+    throw invalid(`The platform rule ${match} is not a valid pattern`)
+  }
+}
+
+const compileRule = (rule, priority) => {
+  if (!rule || typeof rule.match !== 'string') {
+    throw invalid('Every platform rule needs a pattern to match')
   }
 
-  // Map .AppImage files to linux platform for Linux compatibility  
-  if (extension === 'AppImage') {
-    return 'linux' + arch
+  if (!rule.ignore && typeof rule.platform !== 'string') {
+    throw invalid(`The platform rule ${rule.match} needs a platform`)
   }
 
-  // Handle macOS .zip files
   if (
-    (fileName.includes('mac') || fileName.includes('darwin')) &&
-    extension === 'zip'
+    typeof rule.priority !== 'undefined' &&
+    typeof rule.priority !== 'number'
   ) {
-    return 'darwin' + arch
+    throw invalid(`The priority of the platform rule ${rule.match} must be a number`)
   }
 
-  // Handle Windows .exe files
-  if (extension === 'exe') {
-    return 'win32'
+  return {
+    pattern: toPattern(rule.match),
+    platform: rule.platform,
+    arch: rule.arch,
+    format: rule.format,
+    priority: typeof rule.priority === 'number' ? rule.priority : priority,
+    ignore: Boolean(rule.ignore)
   }
+}
+
+// Combines the rules and patterns of the configuration with the
+// default rules, ordered by their priority
+const compile = ({ platformRules = [], patterns = {} } = {}) => {
+  if (!Array.isArray(platformRules)) {
+    throw invalid('PLATFORM_RULES must be a list of rules')
+  }
+
+  const custom = platformRules.concat(
+    Object.keys(patterns).map(platform => ({
+      match: `/${patterns[platform]}/i`,
+      platform
+    }))
+  )
+
+  const rules = custom
+    .map(rule => compileRule(rule, customPriority))
+    .concat(defaults.map(rule => compileRule(rule)))
+
+  // Sorting is stable, so rules of equal priority keep their order
+  return rules.sort((a, b) => b.priority - a.priority)
+}
 
-  // Handle other Linux formats
-  const linuxFormats = ['rpm', 'deb']
-  if (linuxFormats.includes(extension)) {
-    return extension + arch
+const defaultRules = compile()
+
+// Finds the first rule matching the name of the asset
+const match = (fileName, rules = defaultRules) => {
+  const rule = rules.find(item => item.pattern.test(fileName))
+
+  if (!rule || rule.ignore) {
+    return null
   }
 
-  return false
+  const { platform, format, priority } = rule
+  const arch = rule.arch || archs.detect(fileName)
+
+  return {
+    platform: archs.key(platform, arch),
+    arch,
+    format: format || null,
+    priority
+  }
 }
+
+// Returns only the key of the platform (like `darwin_arm64`)
+const checkPlatform = (fileName, rules) => {
+  const result = match(fileName, rules)
+  return result ? result.platform : false
+}
+
+module.exports = Object.assign(checkPlatform, { compile, match, defaults })
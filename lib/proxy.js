@@ -0,0 +1,122 @@
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const disposition = require('./disposition')
+
+// Headers of the upstream response that are passed on to the client
+const forwarded = ['Content-Length', 'Content-Range', 'ETag', 'Last-Modified']
+
+// Headers of the client that are passed on to the upstream
+const conditional = ['Range', 'If-Range']
+
+const upstreamError = (status, message) => {
+  const error = new Error(message || `The asset responded with ${status}`)
+  error.status = status
+  return error
+}
+
+const pickHeaders = (req, headers = {}) => {
+  for (const name of conditional) {
+    const value = req.headers[name.toLowerCase()]
+
+    if (value) {
+      headers[name] = value
+    }
+  }
+
+  return headers
+}
+
+// Requests an asset of a private repository from the API of GitHub, which
+// redirects to a signed URL of its storage. The token is only ever sent
+// to GitHub as a header, never in the URL or to the storage.
+exports.locate = async (asset, token, req) => {
+  const headers = pickHeaders(req, {
+    Accept: 'application/octet-stream',
+    Authorization: `token ${token}`
+  })
+
+  const response = await fetch(asset.api_url, { headers, redirect: 'manual' })
+  const location = response.headers.get('location')
+
+  if (response.status >= 300 && response.status < 400) {
+    if (!location) {
+      throw upstreamError(502, 'GitHub did not redirect to the asset')
+    }
+
+    return { location }
+  }
+
+  if (response.ok || response.status === 416) {
+    return { response }
+  }
+
+  response.body.destroy()
+  throw upstreamError(response.status)
+}
+
+// Maps failures of the upstream to the status sent to the client. Clients
+// can't do anything about invalid tokens or outages of GitHub.
+exports.statusOf = err => (err.status === 404 ? 404 : 502)
+
+// Streams the asset through Hazel, passing on ranges of it (for resuming
+// downloads and for differential updates). Takes the result of `locate`, so
+// that an asset GitHub sent directly isn't requested a second time.
+exports.stream = async (asset, located, req, res) => {
+  const upstream =
+    located.response ||
+    (await fetch(located.location, { headers: pickHeaders(req) }))
+
+  const { status } = upstream
+
+  if (status === 416) {
+    upstream.body.destroy()
+    res.writeHead(416, {
+      'Content-Range':
+        upstream.headers.get('content-range') || `bytes */${asset.size}`
+    })
+
+    res.end()
+    return
+  }
+
+  if (status !== 200 && status !== 206) {
+    upstream.body.destroy()
+    throw upstreamError(status)
+  }
+
+  // Responses with several ranges have their own type
+  const type = upstream.headers.get('content-type')
+  const isMultipart = type && /^multipart\//i.test(type)
+
+  const headers = {
+    'Content-Type': isMultipart
+      ? type
+      : asset.content_type || type || 'application/octet-stream',
+    'Content-Disposition': disposition(asset.name),
+    'Accept-Ranges': 'bytes'
+  }
+
+  for (const name of forwarded) {
+    const value = upstream.headers.get(name)
+
+    if (value) {
+      headers[name] = value
+    }
+  }
+
+  res.writeHead(status, headers)
+
+  if (req.method === 'HEAD') {
+    upstream.body.destroy()
+    res.end()
+    return
+  }
+
+  // Stop downloading if the client went away
+  res.once('close', () => upstream.body.destroy())
+
+  upstream.body.once('error', err => res.destroy(err))
+  upstream.body.pipe(res)
+}
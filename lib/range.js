@@ -0,0 +1,116 @@
+// Native
+const crypto = require('crypto')
+
+// More ranges than this in one header are answered with the whole file.
+// electron-updater asks for many at once, but never for this many.
+const maxRanges = 1000
+
+// Overlapping and adjacent ranges are sent as one, so that no
+// byte of the file has to be read more than once
+const coalesce = ranges => {
+  const sorted = ranges.slice().sort((a, b) => a.start - b.start)
+  const merged = [sorted[0]]
+
+  for (const item of sorted.slice(1)) {
+    const last = merged[merged.length - 1]
+
+    if (item.start <= last.end + 1) {
+      last.end = Math.max(last.end, item.end)
+    } else {
+      merged.push(item)
+    }
+  }
+
+  return merged
+}
+
+// Parses a `Range` header, like `bytes=0-99,200-` or `bytes=-100` (the
+// last 100 bytes). Returns `null` if the whole file should be sent (like
+// for malformed headers) and `false` if none of the ranges can be satisfied.
+exports.parse = (header, size) => {
+  if (!header || typeof header !== 'string') {
+    return null
+  }
+
+  const match = /^bytes=(.+)$/.exec(header.trim())
+
+  if (!match) {
+    return null
+  }
+
+  const parts = match[1].split(',')
+
+  if (parts.length > maxRanges) {
+    return null
+  }
+
+  const ranges = []
+
+  for (const part of parts) {
+    const bounds = /^\s*(\d*)-(\d*)\s*$/.exec(part)
+
+    if (!bounds || (!bounds[1] && !bounds[2])) {
+      return null
+    }
+
+    let start
+    let end
+
+    if (bounds[1]) {
+      start = Number(bounds[1])
+
+      // Ranges ending before they start are invalid, like
+      // malformed ones, rather than unsatisfiable (RFC 7233)
+      if (bounds[2] && Number(bounds[2]) < start) {
+        return null
+      }
+
+      end = bounds[2] ? Math.min(Number(bounds[2]), size - 1) : size - 1
+    } else {
+      start = Math.max(size - Number(bounds[2]), 0)
+      end = size - 1
+    }
+
+    if (start <= end && start < size) {
+      ranges.push({ start, end })
+    }
+  }
+
+  return ranges.length > 0 ? coalesce(ranges) : false
+}
+
+// Lays out a `multipart/byteranges` response, which is what clients
+// requesting several ranges at once (like electron-updater) receive
+exports.multipart = (ranges, size, type) => {
+  const boundary = crypto.randomBytes(12).toString('hex')
+
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    head: [
+      `--${boundary}`,
+      `Content-Type: ${type}`,
+      `Content-Range: bytes ${start}-${end}/${size}`,
+      '',
+      ''
+    ].join('\r\n')
+  }))
+
+  const tail = `\r\n--${boundary}--\r\n`
+
+  // Every part but the first one starts on a new line
+  const separators = (parts.length - 1) * 2
+
+  const length = parts.reduce(
+    (total, part) =>
+      total + Buffer.byteLength(part.head) + (part.end - part.start + 1),
+    Buffer.byteLength(tail) + separators
+  )
+
+  return {
+    type: `multipart/byteranges; boundary=${boundary}`,
+    parts,
+    tail,
+    length
+  }
+}
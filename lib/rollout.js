@@ -0,0 +1,104 @@
+// Native
+const crypto = require('crypto')
+
+// Matches markers like `<!-- rollout: 10% -->` inside of release notes
+const marker = /<!--\s*rollout:\s*(\d+(?:\.\d+)?)\s*%?\s*-->/i
+
+const clamp = value => Math.min(100, Math.max(0, value))
+
+const normalizeVersion = version => String(version).replace(/^v/, '')
+
+// Reads the rollout percentage from the body of a release
+exports.parseMarker = notes => {
+  if (!notes || typeof notes !== 'string') {
+    return null
+  }
+
+  const match = notes.match(marker)
+  return match ? clamp(parseFloat(match[1])) : null
+}
+
+// Turns `1.2.0=10,1.3.0=0` (or a JSON object) into a map of percentages
+exports.parseConfig = value => {
+  if (!value) {
+    return {}
+  }
+
+  if (typeof value === 'object') {
+    return value
+  }
+
+  const trimmed = value.trim()
+
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed)
+  }
+
+  const map = {}
+
+  for (const pair of trimmed.split(',')) {
+    const [version, percentage] = pair.split('=').map(part => part.trim())
+
+    if (version && percentage) {
+      map[version] = parseFloat(percentage)
+    }
+  }
+
+  return map
+}
+
+// The percentage configured on the server overrides the marker
+// in the release notes, which allows halting a rollout without
+// touching the release on GitHub
+exports.resolve = (release, overrides = {}) => {
+  if (!release || !release.version) {
+    return 100
+  }
+
+  const version = normalizeVersion(release.version)
+
+  for (const key of Object.keys(overrides)) {
+    const percentage = parseFloat(overrides[key])
+
+    if (normalizeVersion(key) === version && !isNaN(percentage)) {
+      return clamp(percentage)
+    }
+  }
+
+  if (typeof release.rollout === 'number') {
+    return release.rollout
+  }
+
+  return 100
+}
+
+// Deterministically places a client into a bucket between 0 and 100,
+// salted with the version so that every rollout hits different clients
+exports.bucket = (clientId, version) => {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${normalizeVersion(version)}:${clientId}`)
+    .digest()
+
+  return hash.readUInt32BE(0) / 0xFFFFFFFF * 100
+}
+
+exports.isEligible = (percentage, clientId, version) => {
+  if (percentage >= 100) {
+    return true
+  }
+
+  // Clients that don't identify themselves only receive
+  // releases that were rolled out to everyone
+  if (percentage <= 0 || !clientId) {
+    return false
+  }
+
+  return exports.bucket(clientId, version) < percentage
+}
+
+// Clients identify themselves using a query parameter or a header
+exports.clientId = (req, query = {}) => {
+  const id = query.clientId || req.headers['x-client-id']
+  return id ? String(id).trim() : null
+}
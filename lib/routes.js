@@ -1,122 +1,749 @@
 // Native
 const urlHelpers = require('url');
 const crypto = require('crypto');
+const fs = require('fs')
+const path = require('path')
 
 // Packages
 const { send } = require('micro')
 const { valid, compare } = require('semver')
-const { parse } = require('express-useragent')
-const fetch = require('node-fetch')
 const distanceInWordsToNow = require('date-fns/distance_in_words_to_now')
 const yaml = require('js-yaml')
 
 // Utilities
 const checkAlias = require('./aliases')
 const prepareView = require('./view')
-
-module.exports = ({ cache, config }) => {
-  const { loadCache } = cache
+const rollout = require('./rollout')
+const notes = require('./notes')
+const channels = require('./channels')
+const downgrade = require('./downgrade')
+const archs = require('./arch')
+const detect = require('./detect')
+const proxy = require('./proxy')
+const createAuth = require('./auth')
+const range = require('./range')
+const disposition = require('./disposition')
+
+module.exports = ({ cache, config, metrics, analytics }) => {
+  const { loadCache, loadReleases } = cache
   const exports = {}
   const { token, url } = config
+  const { source = 'github' } = config
+
+  // Only assets on GitHub can be downloaded through its API
   const shouldProxyPrivateDownload =
-    token && typeof token === 'string' && token.length > 0
+    source === 'github' && token && typeof token === 'string' && token.length > 0
+  const rolloutOverrides = rollout.parseConfig(config.rollout)
+  const auth = createAuth(config)
 
   // Helpers
-  const proxyPrivateDownload = (asset, req, res) => {
-    const redirect = 'manual'
-    const headers = { Accept: 'application/octet-stream' }
-    const options = { headers, redirect }
-    const { api_url: rawUrl } = asset
-    const finalUrl = rawUrl.replace(
-      'https://api.github.com/',
-      `https://${token}@api.github.com/`
+  const countManifest = (manifest, channel) =>
+    metrics.manifests.inc({ manifest, channel: channel || 'stable' })
+
+  // Rejects clients whose token doesn't grant access to the channel
+  // or platform (which stays `undefined` if it's not known yet)
+  const canAccess = (req, res, access) => {
+    if (auth.allows(req.access, access)) {
+      return true
+    }
+
+    auth.forbid(res)
+    return false
+  }
+
+  // Clients of protected deployments receive links to Hazel that
+  // can be used without a token for a while
+  const downloadUrl = (platform, version, query) =>
+    `${url}${auth.sign(`/download/${platform}/${version}`, query)}`
+
+  // Private assets are downloaded through Hazel
+  const updateUrl = (latest, found, { channel, platform }) => {
+    if (auth.isEnabled) {
+      return downloadUrl(found.key, latest.version, { update: true })
+    }
+
+    if (shouldProxyPrivateDownload) {
+      return `${url}/download/${
+        channel ? `${channel}/` : ''
+      }${platform}?update=true`
+    }
+
+    return found.asset.url
+  }
+
+  const isRolledOutTo = (latest, req) => {
+    const percentage = rollout.resolve(latest, rolloutOverrides)
+    const query = urlHelpers.parse(req.url, true).query
+    const clientId = rollout.clientId(req, query)
+
+    return rollout.isEligible(percentage, clientId, latest.version)
+  }
+
+  // Collects the notes of every release between the
+  // version of the client and the one it's updating to
+  const collectNotes = async (target, from, channel) => {
+    const releases = (await loadReleases()).filter(
+      release => !channel || channels.includes(channel, release.channel)
     )
 
-    fetch(finalUrl, options).then(assetRes => {
-      res.setHeader('Location', assetRes.headers.get('Location'))
-      send(res, 302)
+    return notes.collect(releases, from, target)
+  }
+
+  // Manifests that can't be parsed (which the cache already
+  // logged) are served as they are, instead of failing
+  const parseManifest = (req, content) => {
+    try {
+      return yaml.load(content) || {}
+    } catch (err) {
+      req.log.debug('Serving the manifest without changes', { err })
+      return null
+    }
+  }
+
+  // Lets electron-updater pick its own share of clients
+  // by adding its `stagingPercentage` field to the manifest
+  // and adds the release notes for the version of the client
+  const sendYaml = async (req, res, latest, content) => {
+    const query = urlHelpers.parse(req.url, true).query
+    const from = req.params.version || query.version
+    const format = notes.isFormat(query.notes) ? query.notes : 'markdown'
+    const percentage = rollout.resolve(latest, rolloutOverrides)
+    const isGenerated = typeof content !== 'string'
+    let yamlString = content
+    let manifest = null
+
+    if (isGenerated) {
+      manifest = content
+    } else if (percentage < 100 || valid(from)) {
+      manifest = parseManifest(req, content)
+    }
+
+    if (manifest) {
+      if (percentage < 100) {
+        manifest.stagingPercentage = percentage
+      }
+
+      if (isGenerated || valid(from)) {
+        const channel = channels.normalize(req.params.channel)
+        const entries = await collectNotes(latest, from, channel)
+
+        manifest.releaseNotes =
+          entries.length > 1
+            ? entries.map(({ version, note }) => ({
+                version,
+                note: notes.render(note, format)
+              }))
+            : notes.combine(entries, format)
+      }
+
+      yamlString = yaml.dump(manifest)
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/yaml',
+      'Content-Length': Buffer.byteLength(yamlString, 'utf8')
     })
+
+    res.end(yamlString)
   }
 
-  exports.download = async (req, res) => {
-    const userAgent = parse(req.headers['user-agent'])
-    const params = urlHelpers.parse(req.url, true).query
-    const isUpdate = params && params.update
+  // Resolves the release a client should receive, which is either
+  // the newest one on the requested channel or the cached latest one.
+  // Releases the client isn't eligible for are skipped, so that halting
+  // the rollout of one doesn't stop older clients from updating.
+  const loadTarget = async (channel, isEligible) => {
+    const latest = channel
+      ? channels.latest(await loadReleases(), channel) || {}
+      : await loadCache()
+
+    if (!isEligible || !latest.version || isEligible(latest)) {
+      return latest
+    }
+
+    const releases = (await loadReleases()).filter(isEligible)
+    const target = channel
+      ? channels.latest(releases, channel)
+      : cache.selectLatest(releases)
+
+    return target || {}
+  }
+
+  // Manifests carry the percentage for electron-updater, but
+  // releases whose rollout was halted aren't offered at all
+  const isOffered = release => rollout.resolve(release, rolloutOverrides) > 0
+
+  // Prefers the manifest named after the channel of the
+  // release, like `beta-mac.yml`, over `latest-mac.yml`
+  const cachedManifest = (release, suffix) => {
+    const { files, channel = 'stable' } = release
+
+    if (!files || !files.yamlFiles) {
+      return null
+    }
+
+    const names = [`${channels.fileName(channel)}${suffix}.yml`, `latest${suffix}.yml`]
+    const name = names.find(item => files.yamlFiles[item])
+
+    return name ? files.yamlFiles[name] : null
+  }
+
+  // Links to files are signed on protected deployments,
+  // so that they can be opened in browsers
+  const filePath = (version, name) => {
+    const pathname = `/files/${version}/${encodeURIComponent(name)}`
+    return auth.isEnabled ? auth.sign(pathname) : pathname
+  }
+
+  // The packages listed in RELEASES point to their assets, which
+  // protected deployments replace with signed links to Hazel
+  const signReleaseList = (release, content) =>
+    content.replace(/[^\s]*\.nupkg/gi, match => {
+      const name = match.split('/').pop()
 
-    let platform
+      if (!release.assets || !release.assets[name]) {
+        return match
+      }
+
+      return `${url}${filePath(release.version, name)}`
+    })
 
-    if (userAgent.isMac && isUpdate) {
-      platform = 'darwin'
-    } else if (userAgent.isMac && !isUpdate) {
+  const findRelease = (releases, version) => {
+    const wanted = version.replace(/^v/, '')
+    return releases.find(release => release.version.replace(/^v/, '') === wanted)
+  }
+
+  const resolveDownloadPlatform = (platform, isUpdate) => {
+    if (platform === 'mac' && !isUpdate) {
       platform = 'dmg'
-    } else if (userAgent.isWindows) {
-      platform = 'exe'
     }
 
-    // Get the latest version from the cache
-    const { platforms } = await loadCache()
+    if (platform === 'mac_arm64' && !isUpdate) {
+      platform = 'dmg_arm64'
+    }
 
-    if (!platform || !platforms || !platforms[platform]) {
-      send(res, 404, 'No download available for your platform!')
+    // Check platform for appropiate aliases
+    return checkAlias(platform, config.aliases)
+  }
+
+  // Redirects to the signed URL of the asset, or streams the
+  // asset through Hazel if `STREAM_DOWNLOADS` is enabled
+  const proxyPrivateDownload = async (asset, req, res) => {
+    try {
+      const located = await proxy.locate(asset, token, req)
+
+      // The response of GitHub is passed on, so the asset is requested once
+      if (config.streamDownloads || !located.location) {
+        await proxy.stream(asset, located, req, res)
+        return
+      }
+
+      res.writeHead(302, { Location: located.location })
+      res.end()
+    } catch (err) {
+      req.log.error('Error proxying the asset', { asset: asset.name, err })
+
+      if (res.headersSent) {
+        res.destroy()
+        return
+      }
+
+      const status = proxy.statusOf(err)
+
+      send(
+        res,
+        status,
+        status === 404
+          ? 'The requested file does not exist'
+          : 'The requested file could not be downloaded'
+      )
+    }
+  }
+
+  // Writes the parts of a `multipart/byteranges` response one after another
+  const streamParts = (file, layout, res, index = 0) => {
+    if (index === layout.parts.length) {
+      res.end(layout.tail)
+      return
+    }
+
+    const { head, start, end } = layout.parts[index]
+    const stream = fs.createReadStream(file, { start, end })
+
+    res.write(index === 0 ? head : `\r\n${head}`)
+    stream.once('error', err => res.destroy(err))
+    stream.once('end', () => streamParts(file, layout, res, index + 1))
+    stream.pipe(res, { end: false })
+  }
+
+  // Streams assets of the filesystem source from the disk, including
+  // ranges of them (for resuming downloads and differential updates)
+  const sendFile = (asset, req, res) => {
+    fs.stat(asset.path, (err, details) => {
+      if (err) {
+        req.log.error('Error reading the file', { asset: asset.name, err })
+        send(res, 404, 'The requested file does not exist')
+        return
+      }
+
+      const { size } = details
+      const type = asset.content_type || 'application/octet-stream'
+      const ranges = range.parse(req.headers.range, size)
+
+      if (ranges === false) {
+        res.writeHead(416, { 'Content-Range': `bytes */${size}` })
+        res.end()
+        return
+      }
+
+      const headers = {
+        'Content-Type': type,
+        'Content-Length': size,
+        'Content-Disposition': disposition(path.basename(asset.path)),
+        'Accept-Ranges': 'bytes'
+      }
+
+      let layout = null
+
+      if (ranges && ranges.length === 1) {
+        const [{ start, end }] = ranges
+
+        headers['Content-Length'] = end - start + 1
+        headers['Content-Range'] = `bytes ${start}-${end}/${size}`
+      } else if (ranges) {
+        layout = range.multipart(ranges, size, type)
+        headers['Content-Type'] = layout.type
+        headers['Content-Length'] = layout.length
+      }
+
+      res.writeHead(ranges ? 206 : 200, headers)
+
+      if (req.method === 'HEAD') {
+        res.end()
+        return
+      }
+
+      if (layout) {
+        streamParts(asset.path, layout, res)
+        return
+      }
+
+      fs.createReadStream(asset.path, ranges ? ranges[0] : {}).pipe(res)
+    })
+  }
+
+  const redirectToAsset = (asset, req, res) => {
+    if (asset.path) {
+      sendFile(asset, req, res)
       return
     }
 
     if (shouldProxyPrivateDownload) {
-      proxyPrivateDownload(platforms[platform], req, res)
+      proxyPrivateDownload(asset, req, res)
       return
     }
 
     res.writeHead(302, {
-      Location: platforms[platform].url
+      Location: asset.url
     })
 
     res.end()
   }
 
-  exports.downloadPlatform = async (req, res) => {
+  // Appending `.blockmap` to the path of an installer (which is what
+  // electron-updater does) serves the blockmap of the installer
+  const blockmapSuffix = /\.blockmap$/i
+
+  const sendBlockmap = (release, found, req, res) => {
+    const assets = release.assets || {}
+    const blockmap =
+      found.asset.blockmap || assets[`${found.asset.name}.blockmap`]
+
+    if (!blockmap) {
+      send(res, 404, 'No blockmap available for your platform')
+      return
+    }
+
+    redirectToAsset(blockmap, req, res)
+  }
+
+  // Releases cached before builds were recorded only know
+  // the asset that was picked for each platform
+  const listBuilds = release =>
+    release.builds ||
+    Object.keys(release.platforms || {}).map(key =>
+      Object.assign({ platform: key }, release.platforms[key])
+    )
+
+  // Picks the build of the release that suits the client best,
+  // preferring its platforms over its formats, so that a `.deb`
+  // file on Ubuntu wins over an AppImage
+  const pickBuild = (release, { keys, formats }) => {
+    const builds = listBuilds(release)
+    const assets = release.assets || {}
+
+    for (const key of keys) {
+      const matching = builds.filter(build => build.platform === key)
+
+      if (matching.length === 0) {
+        continue
+      }
+
+      const format = formats.find(item =>
+        matching.some(build => build.format === item)
+      )
+
+      // Without a preferred format, the asset that was cached for
+      // the platform (the one with the highest priority) is served
+      const build = format
+        ? matching.find(item => item.format === format)
+        : null
+
+      const asset =
+        (build && assets[build.name]) ||
+        (release.platforms && release.platforms[key]) ||
+        assets[matching[0].name]
+
+      if (asset) {
+        return { key, asset }
+      }
+    }
+
+    return null
+  }
+
+  // Browsers are served images rather than the archives that are
+  // cached for `darwin`, since Squirrel.Mac needs those for updates
+  const downloadFormats = ['dmg', 'pkg', 'zip']
+
+  const pickDownload = (release, key) => {
+    const picked = pickBuild(release, { keys: [key], formats: downloadFormats })
+    return picked ? picked.asset : release.platforms[key]
+  }
+
+  // The files the overview links to, which are downloaded by browsers
+  const listDownloads = release => {
+    const files = {}
+
+    for (const key of Object.keys(release.platforms || {})) {
+      const asset = pickDownload(release, key)
+      const build = listBuilds(release).find(item => item.name === asset.name)
+
+      files[key] = Object.assign({}, release.platforms[key], {
+        name: asset.name,
+        url: asset.url,
+        size: build ? build.size : release.platforms[key].size
+      })
+    }
+
+    return files
+  }
+
+  const labels = {
+    darwin: 'macOS',
+    win32: 'Windows',
+    linux: 'Linux',
+    deb: 'Linux',
+    rpm: 'Linux'
+  }
+
+  const describeBuild = ({ platform: key, arch, format }) => {
+    const { platform } = archs.split(key)
+    const name = labels[platform] || platform
+
+    return [name, arch && arch !== 'x64' ? arch : null, format]
+      .filter(Boolean)
+      .join(' · ')
+  }
+
+  // Lists every build of the release if none of them suits the client
+  const sendChooser = async (req, res, release) => {
+    const builds = listBuilds(release).filter(
+      build =>
+        build.name && auth.allows(req.access, { platform: build.platform })
+    )
+
+    const render = await prepareView('download')
+
+    const details = {
+      account: config.account,
+      repository: config.repository,
+      version: release.version,
+      builds: builds.map(build => ({
+        label: describeBuild(build),
+        name: build.name,
+        url: filePath(release.version, build.name),
+        size: build.size
+      }))
+    }
+
+    send(res, builds.length > 0 ? 200 : 404, render(details))
+  }
+
+  exports.download = async (req, res) => {
     const params = urlHelpers.parse(req.url, true).query
     const isUpdate = params && params.update
 
-    let { platform } = req.params
+    if (!canAccess(req, res, { channel: 'stable' })) {
+      return
+    }
+
+    // Browsers only send client hints if they were asked for them,
+    // and responses differ by them, so caches need to know
+    res.setHeader('Accept-CH', detect.hints.join(', '))
+    res.setHeader('Vary', ['User-Agent'].concat(detect.hints).join(', '))
 
-    if (platform === 'mac' && !isUpdate) {
-      platform = 'dmg'
+    // Get the latest version from the cache
+    const latest = await loadCache()
+    const detected = detect(req, isUpdate)
+
+    if (detected) {
+      detected.keys = detected.keys.filter(platform =>
+        auth.allows(req.access, { platform })
+      )
     }
 
-    if (platform === 'mac_arm64' && !isUpdate) {
-      platform = 'dmg_arm64'
+    const found = detected ? pickBuild(latest, detected) : null
+
+    if (!found) {
+      try {
+        await sendChooser(req, res, latest)
+      } catch (err) {
+        req.log.error('Error reading download file', { err })
+        send(res, 404, 'No download available for your platform!')
+      }
+
+      return
+    }
+
+    req.event.platform = found.key
+    metrics.downloads.inc({ route: 'download', platform: found.key })
+    redirectToAsset(found.asset, req, res)
+  }
+
+  exports.downloadPlatform = async (req, res) => {
+    const params = urlHelpers.parse(req.url, true).query
+    const isUpdate = params && params.update
+
+    const isBlockmap = blockmapSuffix.test(req.params.platform)
+    const platform = resolveDownloadPlatform(
+      req.params.platform.replace(blockmapSuffix, ''),
+      isUpdate
+    )
+
+    const channel = channels.normalize(req.params.channel)
+
+    if (req.params.channel && !channel) {
+      send(res, 500, 'The specified channel is not valid')
+      return
     }
 
     // Get the latest version from the cache
-    const latest = await loadCache()
+    const latest = await loadTarget(channel)
 
-    // Check platform for appropiate aliases
-    platform = checkAlias(platform)
+    if (!platform) {
+      send(res, 500, 'The specified platform is not valid')
+      return
+    }
+
+    if (!canAccess(req, res, { channel: channel || 'stable', platform })) {
+      return
+    }
+
+    const found = archs.find(latest.platforms, platform)
+
+    if (!found) {
+      send(res, 404, 'No download available for your platform')
+      return
+    }
+
+    if (isBlockmap) {
+      sendBlockmap(latest, found, req, res)
+      return
+    }
+
+    metrics.downloads.inc({ route: 'download_platform', platform: found.key })
+    redirectToAsset(isUpdate ? found.asset : pickDownload(latest, found.key), req, res)
+  }
+
+  exports.downloadVersion = async (req, res, next) => {
+    const params = urlHelpers.parse(req.url, true).query
+    const isBlockmap = blockmapSuffix.test(req.params.version)
+    const version = req.params.version.replace(blockmapSuffix, '')
+
+    // Leave paths like `/download/beta/mac` to the channel route
+    if (!valid(version)) {
+      next()
+      return
+    }
+
+    const platform = resolveDownloadPlatform(req.params.platform, params.update)
 
     if (!platform) {
       send(res, 500, 'The specified platform is not valid')
       return
     }
 
-    if (!latest.platforms || !latest.platforms[platform]) {
+    const releases = await loadReleases()
+    const release = findRelease(releases, version)
+
+    if (!release) {
+      send(res, 404, 'The specified version does not exist')
+      return
+    }
+
+    if (!canAccess(req, res, { channel: release.channel, platform })) {
+      return
+    }
+
+    const found = archs.find(release.platforms, platform)
+
+    if (!found) {
       send(res, 404, 'No download available for your platform')
       return
     }
 
-    if (token && typeof token === 'string' && token.length > 0) {
-      proxyPrivateDownload(latest.platforms[platform], req, res)
+    if (isBlockmap) {
+      sendBlockmap(release, found, req, res)
       return
     }
 
-    res.writeHead(302, {
-      Location: latest.platforms[platform].url
-    })
+    metrics.downloads.inc({ route: 'download_version', platform: found.key })
+    redirectToAsset(
+      params.update ? found.asset : pickDownload(release, found.key),
+      req,
+      res
+    )
+  }
 
-    res.end()
+  // Serves a file of the release by its name, like `latest.yml` or
+  // a blockmap, which may not belong to any platform
+  const sendReleaseFile = (release, name, req, res) => {
+    const build = (release.builds || []).find(item => item.name === name)
+    const platform = build ? build.platform : undefined
+
+    if (!canAccess(req, res, { channel: release.channel, platform })) {
+      return
+    }
+
+    if (build) {
+      req.event.platform = platform
+      metrics.downloads.inc({ route: req.event.route, platform })
+    }
+
+    redirectToAsset(release.assets[name], req, res)
+  }
+
+  exports.file = async (req, res) => {
+    const { version, name } = req.params
+    const releases = await loadReleases()
+    const release = findRelease(releases, version)
+
+    if (!release || !release.assets || !release.assets[name]) {
+      send(res, 404, 'The requested file does not exist')
+      return
+    }
+
+    sendReleaseFile(release, name, req, res)
+  }
+
+  // Manifests refer to the files of the release relative to themselves
+  // (like `Hyper-Setup-1.2.0.exe`), and electron-updater derives the
+  // blockmap of the previous version from them, so every release is
+  // searched for the file, starting with the latest one
+  exports.asset = async (req, res, next) => {
+    const { name } = req.params
+    const hasFile = release => Boolean(release.assets && release.assets[name])
+
+    const latest = await loadCache()
+    const release = hasFile(latest)
+      ? latest
+      : (await loadReleases()).find(hasFile)
+
+    // Unknown paths keep responding like before
+    if (!release) {
+      next()
+      return
+    }
+
+    sendReleaseFile(release, name, req, res)
+  }
+
+  exports.releaseList = async (req, res) => {
+    const releases = (await loadReleases()).filter(release =>
+      auth.allows(req.access, { channel: release.channel })
+    )
+
+    send(
+      res,
+      200,
+      releases.map(release => {
+        const platforms = {}
+
+        for (const platform of Object.keys(release.platforms)) {
+          if (!auth.allows(req.access, { platform })) {
+            continue
+          }
+
+          const { name, url: assetUrl, size, sha512 } = release.platforms[
+            platform
+          ]
+
+          let link = assetUrl
+
+          if (auth.isEnabled) {
+            link = downloadUrl(platform, release.version)
+          } else if (shouldProxyPrivateDownload) {
+            link = `${url}/download/${platform}/${release.version}`
+          }
+
+          platforms[platform] = {
+            name,
+            url: link,
+            size,
+            sha512
+          }
+        }
+
+        return {
+          version: release.version,
+          notes: release.notes,
+          pub_date: release.pub_date,
+          prerelease: release.prerelease,
+          channel: release.channel,
+          yanked: release.yanked,
+          platforms
+        }
+      })
+    )
   }
 
-  exports.update = async (req, res) => {
+  exports.update = async (req, res, next) => {
     const { platform: platformName, version } = req.params
+    const arch = req.params.arch && archs.normalize(req.params.arch)
+
+    // Leave paths like `/update/beta/darwin/1.0.0` to the channel route
+    if (req.params.arch && (!arch || !checkAlias(platformName, config.aliases))) {
+      next()
+      return
+    }
+
+    const resolved = checkAlias(platformName, config.aliases)
+    const platform =
+      resolved && arch ? archs.key(archs.split(resolved).platform, arch) : resolved
+
+    // Counted once the response was sent, so that every outcome is
+    // covered. Only known values become labels, since every distinct
+    // one adds a series that is kept forever. Clients can send any
+    // version, so only the ones of cached releases are used.
+    res.once('finish', () => {
+      const known = valid(version) && findRelease(cache.releases, version)
+
+      metrics.updateChecks.inc({
+        platform: platform || 'invalid',
+        version: known ? known.version : 'other',
+        outcome: metrics.outcome(res.statusCode)
+      })
+    })
 
     if (!valid(version)) {
       send(res, 500, {
@@ -127,8 +754,6 @@ module.exports = ({ cache, config }) => {
       return
     }
 
-    const platform = checkAlias(platformName)
-
     if (!platform) {
       send(res, 500, {
         error: 'invalid_platform',
@@ -138,36 +763,67 @@ module.exports = ({ cache, config }) => {
       return
     }
 
-    // Get the latest version from the cache
-    const latest = await loadCache()
+    const channel = channels.normalize(req.params.channel)
+
+    if (req.params.channel && !channel) {
+      send(res, 500, {
+        error: 'invalid_channel',
+        message: 'The specified channel is not valid'
+      })
+
+      return
+    }
+
+    if (!canAccess(req, res, { channel: channel || 'stable', platform })) {
+      return
+    }
+
+    const query = urlHelpers.parse(req.url, true).query
+    const format = query.notes || 'markdown'
+
+    if (!notes.isFormat(format)) {
+      send(res, 500, {
+        error: 'notes_format_invalid',
+        message: 'The specified format for the notes is not valid'
+      })
+
+      return
+    }
+
+    // Get the newest version rolled out to the client from the cache
+    const latest = await loadTarget(channel, release => isRolledOutTo(release, req))
+    const found = archs.find(latest.platforms, platform)
 
-    if (!latest.platforms || !latest.platforms[platform]) {
+    if (!found) {
       res.statusCode = 204
       res.end()
 
       return
     }
 
-    // Previously, we were checking if the latest version is
-    // greater than the one on the client. However, we
-    // only need to compare if they're different (even if
-    // lower) in order to trigger an update.
-
-    // This allows developers to downgrade their users
-    // to a lower version in the case that a major bug happens
-    // that will take a long time to fix and release
+    // Clients are only downgraded if the policy allows it, like
+    // when a release is marked as a rollback because a major bug
+    // happened that will take a long time to fix and release
     // a patch update.
+    const isAllowed = downgrade.isAllowed({
+      policy: config.downgrade,
+      target: latest,
+      from: version,
+      yanked: cache.yanked
+    })
 
-    if (compare(latest.version, version) !== 0) {
-      const { notes, pub_date } = latest
+    if (compare(latest.version, version) !== 0 && isAllowed) {
+      const { pub_date } = latest
+      const entries = await collectNotes(latest, version, channel)
 
       send(res, 200, {
         name: latest.version,
-        notes,
+        notes: notes.combine(entries, format),
         pub_date,
-        url: shouldProxyPrivateDownload
-          ? `${url}/download/${platformName}?update=true`
-          : latest.platforms[platform].url
+        url: updateUrl(latest, found, {
+          channel,
+          platform: arch ? found.key : platformName
+        })
       })
 
       return
@@ -178,8 +834,16 @@ module.exports = ({ cache, config }) => {
   }
 
   exports.releases = async (req, res) => {
-    // Get the latest version from the cache
-    const latest = await loadCache()
+    const channel = channels.normalize(req.params.channel)
+
+    if (!canAccess(req, res, { channel: channel || 'stable', platform: 'win32' })) {
+      return
+    }
+
+    countManifest('RELEASES', channel)
+
+    // Get the newest version rolled out to the client from the cache
+    const latest = await loadTarget(channel, release => isRolledOutTo(release, req))
 
     if (!latest.files || !latest.files.RELEASES) {
       res.statusCode = 204
@@ -188,7 +852,9 @@ module.exports = ({ cache, config }) => {
       return
     }
 
-    const content = latest.files.RELEASES
+    const content = auth.isEnabled
+      ? signReleaseList(latest, latest.files.RELEASES)
+      : latest.files.RELEASES
 
     res.writeHead(200, {
       'content-length': Buffer.byteLength(content, 'utf8'),
@@ -208,7 +874,7 @@ module.exports = ({ cache, config }) => {
         account: config.account,
         repository: config.repository,
         date: distanceInWordsToNow(latest.pub_date, { addSuffix: true }),
-        files: latest.platforms,
+        files: listDownloads(latest),
         version: latest.version,
         releaseNotes: `https://github.com/${config.account}/${
           config.repository
@@ -221,26 +887,34 @@ module.exports = ({ cache, config }) => {
 
       send(res, 200, render(details))
     } catch (err) {
-      console.error(err)
+      req.log.error('Error reading overview file', { err })
       send(res, 500, 'Error reading overview file')
     }
   }
 
   // Generate YAML for Windows updates
   exports.yamlWin = async (req, res) => {
-    const latest = await loadCache()
+    const channel = channels.normalize(req.params.channel)
+
+    if (req.params.channel && !channel) {
+      res.statusCode = 404
+      res.end()
+      return
+    }
+
+    if (!canAccess(req, res, { channel: channel || 'stable', platform: 'win32' })) {
+      return
+    }
+
+    countManifest('latest.yml', channel)
+
+    const latest = await loadTarget(channel, isOffered)
+    const manifest = cachedManifest(latest, '')
 
     // Check if we have cached YAML files first
-    if (latest.files && latest.files.yamlFiles && latest.files.yamlFiles['latest.yml']) {
+    if (manifest) {
       // Serve the cached YAML directly
-      const yamlString = latest.files.yamlFiles['latest.yml']
-      
-      res.writeHead(200, {
-        'Content-Type': 'text/yaml',
-        'Content-Length': Buffer.byteLength(yamlString, 'utf8')
-      })
-      
-      res.end(yamlString)
+      await sendYaml(req, res, latest, manifest)
       return
     }
 
@@ -284,31 +958,32 @@ module.exports = ({ cache, config }) => {
       yamlContent.sha512 = windowsPlatform.sha512
     }
 
-    const yamlString = yaml.dump(yamlContent)
-
-    res.writeHead(200, {
-      'Content-Type': 'text/yaml',
-      'Content-Length': Buffer.byteLength(yamlString, 'utf8')
-    })
-
-    res.end(yamlString)
+    await sendYaml(req, res, latest, yamlContent)
   }
 
   // Generate YAML for macOS updates
   exports.yamlMac = async (req, res) => {
-    const latest = await loadCache()
+    const channel = channels.normalize(req.params.channel)
+
+    if (req.params.channel && !channel) {
+      res.statusCode = 404
+      res.end()
+      return
+    }
+
+    if (!canAccess(req, res, { channel: channel || 'stable', platform: 'darwin' })) {
+      return
+    }
+
+    countManifest('latest-mac.yml', channel)
+
+    const latest = await loadTarget(channel, isOffered)
+    const manifest = cachedManifest(latest, '-mac')
 
     // Check if we have cached YAML files first
-    if (latest.files && latest.files.yamlFiles && latest.files.yamlFiles['latest-mac.yml']) {
+    if (manifest) {
       // Serve the cached YAML directly
-      const yamlString = latest.files.yamlFiles['latest-mac.yml']
-      
-      res.writeHead(200, {
-        'Content-Type': 'text/yaml',
-        'Content-Length': Buffer.byteLength(yamlString, 'utf8')
-      })
-      
-      res.end(yamlString)
+      await sendYaml(req, res, latest, manifest)
       return
     }
 
@@ -319,9 +994,9 @@ module.exports = ({ cache, config }) => {
       return
     }
 
-    // Find macOS platforms (darwin and darwin_arm64)
+    // Find macOS platforms (for every architecture)
     const files = []
-    const platforms = ['darwin', 'darwin_arm64']
+    const platforms = ['darwin', 'darwin_arm64', 'darwin_universal']
     
     for (const platform of platforms) {
       if (latest.platforms[platform]) {
@@ -364,31 +1039,32 @@ module.exports = ({ cache, config }) => {
       yamlContent.sha512 = primaryFile.sha512
     }
 
-    const yamlString = yaml.dump(yamlContent)
-
-    res.writeHead(200, {
-      'Content-Type': 'text/yaml',
-      'Content-Length': Buffer.byteLength(yamlString, 'utf8')
-    })
-
-    res.end(yamlString)
+    await sendYaml(req, res, latest, yamlContent)
   }
 
   // Generate YAML for Linux updates
   exports.yamlLinux = async (req, res) => {
-    const latest = await loadCache()
+    const channel = channels.normalize(req.params.channel)
+
+    if (req.params.channel && !channel) {
+      res.statusCode = 404
+      res.end()
+      return
+    }
+
+    if (!canAccess(req, res, { channel: channel || 'stable', platform: 'linux' })) {
+      return
+    }
+
+    countManifest('latest-linux.yml', channel)
+
+    const latest = await loadTarget(channel, isOffered)
+    const manifest = cachedManifest(latest, '-linux')
 
     // Check if we have cached YAML files first
-    if (latest.files && latest.files.yamlFiles && latest.files.yamlFiles['latest-linux.yml']) {
+    if (manifest) {
       // Serve the cached YAML directly
-      const yamlString = latest.files.yamlFiles['latest-linux.yml']
-      
-      res.writeHead(200, {
-        'Content-Type': 'text/yaml',
-        'Content-Length': Buffer.byteLength(yamlString, 'utf8')
-      })
-      
-      res.end(yamlString)
+      await sendYaml(req, res, latest, manifest)
       return
     }
 
@@ -435,14 +1111,40 @@ module.exports = ({ cache, config }) => {
       yamlContent.sha512 = linuxPlatform.sha512
     }
 
-    const yamlString = yaml.dump(yamlContent)
+    await sendYaml(req, res, latest, yamlContent)
+  }
 
-    res.writeHead(200, {
-      'Content-Type': 'text/yaml',
-      'Content-Length': Buffer.byteLength(yamlString, 'utf8')
+  // Details of the events that the path itself doesn't contain
+  const eventDefaults = {
+    downloadPlatform: { channel: 'stable' },
+    update: { channel: 'stable' },
+    releases: { platform: 'win32', channel: 'stable' },
+    yamlWin: { platform: 'win32', channel: 'stable' },
+    yamlMac: { platform: 'darwin', channel: 'stable' },
+    yamlLinux: { platform: 'linux', channel: 'stable' }
+  }
+
+  // Every route emits an event once the response was sent. Routes
+  // passing the request on (like `downloadVersion`) only update it.
+  const track = (route, handler) => (req, res, next) => {
+    if (!req.event) {
+      req.event = {}
+
+      res.once('finish', () => {
+        analytics.track(req, res.statusCode, req.event)
+      })
+    }
+
+    Object.assign(req.event, eventDefaults[route], {
+      route,
+      params: req.params
     })
 
-    res.end(yamlString)
+    return handler(req, res, next)
+  }
+
+  for (const route of Object.keys(exports)) {
+    exports[route] = track(route, auth.protect(exports[route]))
   }
 
   return exports
@@ -0,0 +1,112 @@
+// Native
+const path = require('path')
+const fs = require('fs')
+const { promisify } = require('util')
+
+// Packages
+const { valid, prerelease, rcompare } = require('semver')
+
+const readdir = promisify(fs.readdir)
+const readFile = promisify(fs.readFile)
+const stat = promisify(fs.stat)
+
+// The release notes can be placed next to the assets
+const notesFile = 'notes.md'
+
+// Reads the releases from a directory containing
+// a sub directory with the assets of every version
+module.exports = class Filesystem {
+  constructor(config) {
+    const { directory, url } = config
+
+    if (!directory) {
+      const error = new Error('DIRECTORY is not defined')
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    if (!url) {
+      const error = new Error(
+        'Neither VERCEL_URL, nor URL are defined, which are mandatory for the filesystem source'
+      )
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    this.directory = path.resolve(directory)
+    this.url = url.replace(/\/+$/, '')
+
+    this.fetchReleases = this.fetchReleases.bind(this)
+    this.fetchAsset = this.fetchAsset.bind(this)
+    this.readRelease = this.readRelease.bind(this)
+  }
+
+  async readRelease(version) {
+    const directory = path.join(this.directory, version)
+    const details = await stat(directory)
+
+    if (!details.isDirectory()) {
+      return null
+    }
+
+    const release = {
+      tag_name: version,
+      body: '',
+      published_at: details.mtime.toISOString(),
+      draft: false,
+      prerelease: Boolean(valid(version) && prerelease(version)),
+      assets: []
+    }
+
+    for (const name of await readdir(directory)) {
+      const file = path.join(directory, name)
+      const fileDetails = await stat(file)
+
+      if (!fileDetails.isFile()) {
+        continue
+      }
+
+      if (name === notesFile) {
+        release.body = await readFile(file, 'utf8')
+        continue
+      }
+
+      // The files are served by Hazel itself
+      const fileUrl = `${this.url}/files/${encodeURIComponent(
+        version
+      )}/${encodeURIComponent(name)}`
+
+      release.assets.push({
+        name,
+        path: file,
+        url: fileUrl,
+        browser_download_url: fileUrl,
+        content_type: 'application/octet-stream',
+        size: fileDetails.size,
+        updated_at: fileDetails.mtime.toISOString()
+      })
+    }
+
+    return release
+  }
+
+  // Newest versions first, like on GitHub
+  async fetchReleases() {
+    const versions = await readdir(this.directory)
+    const releases = (await Promise.all(versions.map(this.readRelease))).filter(
+      Boolean
+    )
+
+    return releases.sort((a, b) => {
+      if (valid(a.tag_name) && valid(b.tag_name)) {
+        return rcompare(a.tag_name, b.tag_name)
+      }
+
+      return b.published_at.localeCompare(a.published_at)
+    })
+  }
+
+  async fetchAsset(asset) {
+    return readFile(asset.path, 'utf8')
+  }
+}
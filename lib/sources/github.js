@@ -0,0 +1,169 @@
+// Utilities
+const request = require('./request')
+
+// Extracts the URL of the next page from the `Link` header
+const nextPage = link => {
+  if (!link) {
+    return null
+  }
+
+  const match = link.match(/<([^>]+)>;\s*rel="next"/)
+  return match ? match[1] : null
+}
+
+const isRateLimited = response => {
+  const { status, headers } = response
+
+  if (status === 429) {
+    return true
+  }
+
+  return (
+    status === 403 &&
+    (headers.get('x-ratelimit-remaining') === '0' ||
+      headers.has('retry-after'))
+  )
+}
+
+module.exports = class GitHub {
+  constructor(config) {
+    const { account, repository, token } = config
+
+    if (!account || !repository) {
+      const error = new Error('Neither ACCOUNT, nor REPOSITORY are defined')
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    // Trim whitespace to prevent URL construction issues
+    this.repo = `${account.trim()}/${repository.trim()}`
+    this.headers = { Accept: 'application/vnd.github.preview' }
+
+    if (token && typeof token === 'string' && token.length > 0) {
+      this.headers.Authorization = `token ${token}`
+    }
+
+    // The responses of previous requests, by URL, for
+    // sending conditional requests using their ETag
+    this.responses = {}
+
+    this.rateLimit = {}
+    this.backoffUntil = 0
+
+    this.request = this.request.bind(this)
+    this.trackRateLimit = this.trackRateLimit.bind(this)
+    this.fetchReleases = this.fetchReleases.bind(this)
+    this.fetchAsset = this.fetchAsset.bind(this)
+  }
+
+  trackRateLimit(response) {
+    const { headers } = response
+
+    if (headers.has('x-ratelimit-remaining')) {
+      this.rateLimit = {
+        limit: parseInt(headers.get('x-ratelimit-limit'), 10),
+        remaining: parseInt(headers.get('x-ratelimit-remaining'), 10),
+        reset: parseInt(headers.get('x-ratelimit-reset'), 10) * 1000
+      }
+    }
+
+    if (!isRateLimited(response)) {
+      return
+    }
+
+    const retryAfter = parseInt(headers.get('retry-after'), 10)
+
+    this.backoffUntil = isNaN(retryAfter)
+      ? this.rateLimit.reset || Date.now() + 60 * 1000
+      : Date.now() + retryAfter * 1000
+  }
+
+  // Sends a conditional request if the URL was requested before and
+  // stops requesting anything until the rate limit was reset
+  async request(url) {
+    if (Date.now() < this.backoffUntil) {
+      const error = new Error(
+        `Rate limit of the GitHub API exceeded, backing off until ${new Date(
+          this.backoffUntil
+        ).toISOString()}`
+      )
+
+      error.code = 'rate_limited'
+      throw error
+    }
+
+    const previous = this.responses[url]
+    const headers = Object.assign({}, this.headers)
+
+    if (previous && previous.etag) {
+      headers['If-None-Match'] = previous.etag
+    }
+
+    let response
+
+    try {
+      response = await request(url, headers, {
+        accept: [200, 304],
+        shouldBail: isRateLimited
+      })
+    } catch (err) {
+      if (err.response) {
+        this.trackRateLimit(err.response)
+      }
+
+      if (err.response && isRateLimited(err.response)) {
+        err.code = 'rate_limited'
+      }
+
+      throw err
+    }
+
+    this.trackRateLimit(response)
+
+    return { response, previous: response.status === 304 ? previous : null }
+  }
+
+  // Retrieves every page of the list of releases
+  async fetchReleases() {
+    let url = `https://api.github.com/repos/${this.repo}/releases?per_page=100`
+    const releases = []
+
+    while (url) {
+      const { response, previous } = await this.request(url)
+      let page = previous
+
+      if (!page) {
+        page = {
+          etag: response.headers.get('etag'),
+          data: await response.json(),
+          next: nextPage(response.headers.get('link'))
+        }
+
+        this.responses[url] = page
+      }
+
+      if (!Array.isArray(page.data)) {
+        break
+      }
+
+      releases.push(...page.data)
+      url = page.next
+    }
+
+    return releases
+  }
+
+  async fetchAsset(asset) {
+    const url = asset.browser_download_url
+    const { response, previous } = await this.request(url)
+
+    if (previous) {
+      return previous.data
+    }
+
+    const data = await response.text()
+
+    this.responses[url] = { etag: response.headers.get('etag'), data }
+    return data
+  }
+}
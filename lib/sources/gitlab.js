@@ -0,0 +1,97 @@
+// Native
+const { URL } = require('url')
+
+// Packages
+const { valid, prerelease } = require('semver')
+
+// Utilities
+const request = require('./request')
+
+module.exports = class GitLab {
+  constructor(config) {
+    const { account, repository, token, sourceUrl } = config
+
+    if (!account || !repository) {
+      const error = new Error('Neither ACCOUNT, nor REPOSITORY are defined')
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    const base = (sourceUrl || 'https://gitlab.com').replace(/\/+$/, '')
+    const project = encodeURIComponent(`${account.trim()}/${repository.trim()}`)
+
+    try {
+      this.origin = new URL(base).origin
+    } catch (err) {
+      const error = new Error('SOURCE_URL is not a valid URL')
+      error.code = 'invalid_configuration_properties'
+      throw error
+    }
+
+    this.url = `${base}/api/v4/projects/${project}/releases`
+    this.headers = {}
+
+    if (token && typeof token === 'string' && token.length > 0) {
+      this.headers['PRIVATE-TOKEN'] = token
+    }
+
+    this.fetchReleases = this.fetchReleases.bind(this)
+    this.fetchAsset = this.fetchAsset.bind(this)
+  }
+
+  // GitLab paginates using the `X-Next-Page` header
+  async fetchReleases() {
+    const releases = []
+    let page = '1'
+
+    while (page) {
+      const response = await request(
+        `${this.url}?per_page=100&page=${page}`,
+        this.headers
+      )
+
+      const data = await response.json()
+
+      if (!Array.isArray(data)) {
+        break
+      }
+
+      releases.push(...data.map(this.constructor.normalize))
+      page = response.headers.get('x-next-page')
+    }
+
+    return releases
+  }
+
+  // Links of releases can point anywhere (like to a bucket),
+  // so the token is only sent to GitLab itself
+  async fetchAsset(asset) {
+    const url = asset.browser_download_url
+    const headers = new URL(url).origin === this.origin ? this.headers : {}
+    const response = await request(url, headers)
+
+    return response.text()
+  }
+
+  // Brings a release into the shape of the ones on GitHub
+  static normalize(release) {
+    const { tag_name, description, released_at, upcoming_release } = release
+    const links = (release.assets && release.assets.links) || []
+
+    return {
+      tag_name,
+      body: description,
+      published_at: released_at,
+      draft: Boolean(upcoming_release),
+      prerelease: Boolean(valid(tag_name) && prerelease(tag_name)),
+      assets: links.map(link => ({
+        name: link.name,
+        url: link.direct_asset_url || link.url,
+        browser_download_url: link.direct_asset_url || link.url,
+        content_type: 'application/octet-stream',
+        size: 0,
+        updated_at: String(link.id)
+      }))
+    }
+  }
+}
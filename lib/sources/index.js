@@ -0,0 +1,31 @@
+// Every source resolves to a list of releases in the shape of the
+// GitHub API (`tag_name`, `body`, `assets` with `browser_download_url`
+// and so on) and is able to fetch the content of text assets
+const sources = {
+  github: require('./github'),
+  gitlab: require('./gitlab'),
+  static: require('./static'),
+  filesystem: require('./filesystem')
+}
+
+module.exports = config => {
+  const { source = 'github' } = config
+
+  // Allows passing a custom source when using Hazel programmatically
+  if (typeof source === 'object') {
+    return source
+  }
+
+  const Source = sources[source]
+
+  if (!Source) {
+    const error = new Error(
+      `SOURCE must be one of ${Object.keys(sources).join(', ')}`
+    )
+
+    error.code = 'invalid_source'
+    throw error
+  }
+
+  return new Source(config)
+}
@@ -0,0 +1,35 @@
+// Packages
+const fetch = require('node-fetch')
+const retry = require('async-retry')
+
+// Fetches a URL, retrying until it responds with an accepted status
+// (200 by default). Retrying stops early for missing files and for
+// responses `shouldBail` rejects, like the ones of rate limits.
+module.exports = (url, headers = {}, options = {}) => {
+  const { accept = [200], shouldBail = () => false } = options
+
+  return retry(
+    async bail => {
+      const response = await fetch(url, { headers })
+
+      if (!accept.includes(response.status)) {
+        const error = new Error(
+          `Responded with ${response.status} for url ${url}`
+        )
+
+        error.status = response.status
+        error.response = response
+
+        if (response.status === 404 || shouldBail(response)) {
+          bail(error)
+          return
+        }
+
+        throw error
+      }
+
+      return response
+    },
+    { retries: 3 }
+  )
+}
@@ -0,0 +1,124 @@
+// Native
+const { basename } = require('path')
+const { URL } = require('url')
+
+// Packages
+const yaml = require('js-yaml')
+const { valid, prerelease } = require('semver')
+
+// Utilities
+const request = require('./request')
+
+const channels = ['latest', 'beta', 'alpha']
+const suffixes = ['', '-mac', '-linux']
+
+// Reads the releases from the `latest*.yml` manifests electron-builder
+// uploads next to the assets, for example into an S3-compatible bucket
+module.exports = class Static {
+  constructor(config) {
+    const { sourceUrl } = config
+
+    if (!sourceUrl) {
+      const error = new Error('SOURCE_URL is not defined')
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    this.base = sourceUrl.replace(/\/*$/, '/')
+    this.manifests = {}
+
+    this.fetchReleases = this.fetchReleases.bind(this)
+    this.fetchAsset = this.fetchAsset.bind(this)
+  }
+
+  async fetchReleases() {
+    const releases = {}
+    const manifests = {}
+
+    for (const channel of channels) {
+      for (const suffix of suffixes) {
+        const name = `${channel}${suffix}.yml`
+        const url = new URL(name, this.base).toString()
+        let content
+
+        try {
+          const response = await request(url)
+          content = await response.text()
+        } catch (err) {
+          if (err.status === 404) {
+            continue
+          }
+
+          throw err
+        }
+
+        const manifest = yaml.load(content)
+
+        if (!manifest || !manifest.version || !Array.isArray(manifest.files)) {
+          continue
+        }
+
+        manifests[url] = content
+
+        const { version, releaseDate, releaseNotes } = manifest
+
+        if (!releases[version]) {
+          releases[version] = {
+            tag_name: version,
+            body: Array.isArray(releaseNotes)
+              ? releaseNotes.map(({ note }) => note).join('\n\n')
+              : releaseNotes,
+            published_at: releaseDate,
+            draft: false,
+            prerelease: Boolean(valid(version) && prerelease(version)),
+            assets: []
+          }
+        }
+
+        const { assets } = releases[version]
+        const files = manifest.files.map(file => ({
+          url: new URL(file.url, this.base).toString(),
+          size: file.size,
+          updated_at: file.sha512 || releaseDate
+        }))
+
+        files.push({ url, size: content.length, updated_at: releaseDate })
+
+        for (const file of files) {
+          const fileName = decodeURIComponent(basename(new URL(file.url).pathname))
+
+          if (assets.some(asset => asset.name === fileName)) {
+            continue
+          }
+
+          assets.push({
+            name: fileName,
+            url: file.url,
+            browser_download_url: file.url,
+            content_type: 'application/octet-stream',
+            size: file.size || 0,
+            updated_at: file.updated_at
+          })
+        }
+      }
+    }
+
+    this.manifests = manifests
+
+    return Object.values(releases).sort((a, b) =>
+      String(b.published_at).localeCompare(String(a.published_at))
+    )
+  }
+
+  // The manifests were already downloaded while listing the releases
+  async fetchAsset(asset) {
+    const url = asset.browser_download_url
+
+    if (this.manifests[url]) {
+      return this.manifests[url]
+    }
+
+    const response = await request(url)
+    return response.text()
+  }
+}
@@ -0,0 +1,123 @@
+// Native
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const rename = promisify(fs.rename)
+const stat = promisify(fs.stat)
+const unlink = promisify(fs.unlink)
+
+// Stores the snapshot as JSON on the disk, which can be shared
+// between several instances on the same machine or volume
+module.exports = class FileStorage {
+  constructor(config) {
+    const { storagePath } = config
+
+    if (!storagePath) {
+      const error = new Error('STORAGE_PATH is not defined')
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    this.path = path.resolve(storagePath)
+    this.lockPath = `${this.path}.lock`
+    this.token = null
+
+    this.get = this.get.bind(this)
+    this.set = this.set.bind(this)
+    this.lock = this.lock.bind(this)
+    this.unlock = this.unlock.bind(this)
+    this.removeLock = this.removeLock.bind(this)
+  }
+
+  async get() {
+    let content
+
+    try {
+      content = await readFile(this.path, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null
+      }
+
+      throw err
+    }
+
+    return JSON.parse(content)
+  }
+
+  // Writing to a temporary file first prevents
+  // other instances from reading half of it
+  async set(snapshot) {
+    const temporary = `${this.path}.${process.pid}.tmp`
+
+    await writeFile(temporary, JSON.stringify(snapshot))
+    await rename(temporary, this.path)
+  }
+
+  // The lock is a file that is only created if it doesn't exist
+  // yet and considered stale once it's older than the TTL
+  async lock(ttl) {
+    const token = crypto.randomBytes(16).toString('hex')
+
+    try {
+      await writeFile(this.lockPath, token, { flag: 'wx' })
+      this.token = token
+      return true
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err
+      }
+    }
+
+    const { mtime } = await stat(this.lockPath)
+
+    if (Date.now() - mtime.getTime() < ttl) {
+      return false
+    }
+
+    await this.removeLock()
+    return this.lock(ttl)
+  }
+
+  // The lock may have gone stale and been taken over by another
+  // instance, whose lock must not be removed then
+  async unlock() {
+    const { token } = this
+
+    if (!token) {
+      return
+    }
+
+    this.token = null
+
+    let content
+
+    try {
+      content = await readFile(this.lockPath, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return
+      }
+
+      throw err
+    }
+
+    if (content === token) {
+      await this.removeLock()
+    }
+  }
+
+  async removeLock() {
+    try {
+      await unlink(this.lockPath)
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err
+      }
+    }
+  }
+}
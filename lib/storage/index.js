@@ -0,0 +1,31 @@
+// Every storage keeps a snapshot of the cache (`get`, `set`) and
+// provides a lock (`lock`, `unlock`), which ensures that only one
+// instance refreshes the cache at a time. `unlock` only releases the
+// lock if it wasn't taken over by another instance in the meantime.
+const storages = {
+  memory: require('./memory'),
+  file: require('./file'),
+  redis: require('./redis')
+}
+
+module.exports = config => {
+  const { storage = 'memory' } = config
+
+  // Allows passing a custom storage when using Hazel programmatically
+  if (typeof storage === 'object') {
+    return storage
+  }
+
+  const Storage = storages[storage]
+
+  if (!Storage) {
+    const error = new Error(
+      `STORAGE must be one of ${Object.keys(storages).join(', ')}`
+    )
+
+    error.code = 'invalid_storage'
+    throw error
+  }
+
+  return new Storage(config)
+}
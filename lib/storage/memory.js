@@ -0,0 +1,26 @@
+// Keeps the snapshot in the memory of the process, which
+// means that every instance refreshes the cache on its own
+module.exports = class MemoryStorage {
+  constructor() {
+    this.snapshot = null
+
+    this.get = this.get.bind(this)
+    this.set = this.set.bind(this)
+    this.lock = this.lock.bind(this)
+    this.unlock = this.unlock.bind(this)
+  }
+
+  async get() {
+    return this.snapshot
+  }
+
+  async set(snapshot) {
+    this.snapshot = snapshot
+  }
+
+  async lock() {
+    return true
+  }
+
+  async unlock() {}
+}
@@ -0,0 +1,72 @@
+// Native
+const crypto = require('crypto')
+
+// Packages
+const Redis = require('ioredis')
+
+// Deletes the lock only if it still holds the token of this instance,
+// since it may have expired and been taken over by another one
+const release = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`
+
+// Stores the snapshot in Redis (or anything speaking its
+// protocol), so that it can be shared between every instance
+module.exports = class RedisStorage {
+  constructor(config) {
+    const { redisUrl, storagePrefix = 'hazel' } = config
+
+    if (!redisUrl) {
+      const error = new Error('REDIS_URL is not defined')
+      error.code = 'missing_configuration_properties'
+      throw error
+    }
+
+    this.client = new Redis(redisUrl, { lazyConnect: true })
+    this.key = `${storagePrefix}:snapshot`
+    this.lockKey = `${storagePrefix}:lock`
+    this.token = null
+
+    this.get = this.get.bind(this)
+    this.set = this.set.bind(this)
+    this.lock = this.lock.bind(this)
+    this.unlock = this.unlock.bind(this)
+  }
+
+  async get() {
+    const content = await this.client.get(this.key)
+    return content ? JSON.parse(content) : null
+  }
+
+  async set(snapshot) {
+    await this.client.set(this.key, JSON.stringify(snapshot))
+  }
+
+  // Only one instance can set the key, which expires
+  // on its own if the instance dies while refreshing
+  async lock(ttl) {
+    const token = crypto.randomBytes(16).toString('hex')
+    const result = await this.client.set(this.lockKey, token, 'PX', ttl, 'NX')
+
+    if (result !== 'OK') {
+      return false
+    }
+
+    this.token = token
+    return true
+  }
+
+  async unlock() {
+    const { token } = this
+
+    if (!token) {
+      return
+    }
+
+    this.token = null
+    await this.client.eval(release, 1, this.lockKey, token)
+  }
+}
@@ -6,8 +6,8 @@ const { promisify } = require('util')
 // Packages
 const { compile } = require('handlebars')
 
-module.exports = async () => {
-  const viewPath = path.normalize(path.join(__dirname, '/../views/index.hbs'))
+module.exports = async (name = 'index') => {
+  const viewPath = path.normalize(path.join(__dirname, `/../views/${name}.hbs`))
   const viewContent = await promisify(fs.readFile)(viewPath, 'utf8')
 
   return compile(viewContent)
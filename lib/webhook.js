@@ -0,0 +1,113 @@
+// Native
+const crypto = require('crypto')
+
+// Packages
+const { send, buffer } = require('micro')
+
+// Utilities
+const isEqual = require('./compare')
+
+// Actions of `release` events that change what Hazel serves
+const actions = [
+  'published',
+  'released',
+  'prereleased',
+  'created',
+  'edited',
+  'deleted',
+  'unpublished'
+]
+
+// Releases that disappear are removed from the cache right away
+const evictions = ['deleted', 'unpublished']
+
+module.exports = ({ cache, config }) => {
+  const exports = {}
+  const { webhookSecret } = config
+
+  const isValidSignature = (body, signature) => {
+    if (!signature || !signature.startsWith('sha256=')) {
+      return false
+    }
+
+    const hmac = crypto
+      .createHmac('sha256', webhookSecret)
+      .update(body)
+      .digest('hex')
+
+    return isEqual(signature, 'sha256=' + hmac)
+  }
+
+  exports.github = async (req, res) => {
+    if (!webhookSecret) {
+      send(res, 404, {
+        error: 'webhook_disabled',
+        message: 'The webhook is disabled, since WEBHOOK_SECRET is not defined'
+      })
+
+      return
+    }
+
+    const body = await buffer(req)
+
+    if (!isValidSignature(body, req.headers['x-hub-signature-256'])) {
+      send(res, 401, {
+        error: 'signature_invalid',
+        message: 'The signature of the payload is missing or invalid'
+      })
+
+      return
+    }
+
+    const event = req.headers['x-github-event']
+
+    if (event === 'ping') {
+      send(res, 200, { ok: true })
+      return
+    }
+
+    let payload
+
+    try {
+      payload = JSON.parse(body.toString('utf8'))
+    } catch (err) {
+      send(res, 400, {
+        error: 'payload_invalid',
+        message: 'The payload is not valid JSON'
+      })
+
+      return
+    }
+
+    if (event !== 'release' || !actions.includes(payload.action)) {
+      send(res, 202, { ok: true, refreshed: false })
+      return
+    }
+
+    const { release = {} } = payload
+    const evicted =
+      evictions.includes(payload.action) && Boolean(release.tag_name)
+
+    if (evicted) {
+      await cache.evict(release.tag_name)
+    }
+
+    // Polling stays in place as a fallback if refreshing fails. A refresh
+    // in flight may have fetched the evicted release, so a new one is needed.
+    try {
+      await cache.refreshCache({ fresh: evicted })
+    } catch (err) {
+      // Already logged by the cache
+      send(res, 502, {
+        error: 'refresh_failed',
+        message: err.message
+      })
+
+      return
+    }
+
+    send(res, 200, { ok: true, refreshed: true })
+  }
+
+  return exports
+}
@@ -0,0 +1,27 @@
+// Native
+const fs = require('fs')
+const { promisify } = require('util')
+
+// Utilities
+const { parseList } = require('./downgrade')
+
+const readFile = promisify(fs.readFile)
+
+// Combines the versions listed in `YANKED` with the ones in the file
+// at `YANKED_FILE` (a JSON array or one version per line), which is
+// read again on every refresh so that versions can be yanked without
+// redeploying
+module.exports = async ({ yanked, yankedFile }) => {
+  const versions = parseList(yanked)
+
+  if (!yankedFile) {
+    return versions
+  }
+
+  const content = (await readFile(yankedFile, 'utf8')).trim()
+  const list = content.startsWith('[')
+    ? JSON.parse(content)
+    : content.split(/[\s,]+/)
+
+  return versions.concat(parseList(list))
+}
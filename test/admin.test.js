@@ -0,0 +1,66 @@
+/* global describe, it, expect */
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const helpers = require('./helpers')
+
+const release = helpers.release('1.0.0')
+
+describe('Admin', () => {
+  const headers = { Authorization: 'Bearer secret' }
+  let fetched = 0
+
+  const source = {
+    fetchReleases: async () => {
+      fetched += 1
+      return [release]
+    },
+    fetchAsset: async () => ''
+  }
+
+  const app = helpers.serve({
+    source,
+    adminToken: 'secret',
+    token: 'abc',
+    url: 'https://hazel.test'
+  })
+
+  it('Should reject requests without the token', async () => {
+    const response = await fetch(`${app.url}/admin/cache`, {
+      headers: { Authorization: 'Bearer wrong' }
+    })
+
+    expect(response.status).toBe(401)
+  })
+
+  it('Should refresh the cache', async () => {
+    const response = await fetch(`${app.url}/admin/refresh`, {
+      method: 'POST',
+      headers
+    })
+
+    expect(response.status).toBe(200)
+    expect((await response.json()).version).toBe('1.0.0')
+    expect(fetched).toBe(1)
+  })
+
+  it('Should dump the cache', async () => {
+    const response = await fetch(`${app.url}/admin/cache`, { headers })
+    const content = await response.json()
+
+    expect(content.version).toBe('1.0.0')
+    expect(Object.keys(content.platforms)).toEqual(['darwin'])
+    expect(typeof content.lastUpdate).toBe('number')
+  })
+
+  it('Should redact the secrets in the configuration', async () => {
+    const response = await fetch(`${app.url}/admin/config`, { headers })
+    const content = await response.json()
+
+    expect(content.token).toBe('[redacted]')
+    expect(content.adminToken).toBe('[redacted]')
+    expect(content.url).toBe('https://hazel.test')
+    expect(content.source).toBe('custom')
+  })
+})
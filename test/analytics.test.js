@@ -0,0 +1,155 @@
+/* global describe, it, expect */
+// Native
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const createAnalytics = require('../lib/analytics')
+const helpers = require('./helpers')
+
+const release = helpers.release('1.0.0', [
+  'hyper-1.0.0-mac.zip',
+  'hyper-1.0.0-arm64-mac.zip'
+])
+
+const source = {
+  fetchReleases: async () => [release],
+  fetchAsset: async () => ''
+}
+
+// Events are emitted after the response was sent
+const settle = () => new Promise(resolve => setTimeout(resolve, 50))
+
+describe('Analytics', () => {
+  it('Should reject unknown sinks', () => {
+    expect(() => createAnalytics({ analytics: 'carrier-pigeon' })).toThrow(
+      /ANALYTICS must be one of/
+    )
+  })
+
+  it('Should require a path for the file sink', () => {
+    expect(() => createAnalytics({ analytics: 'file' })).toThrow(
+      /ANALYTICS_PATH/
+    )
+  })
+
+  it('Should append events to a file', async () => {
+    const file = path.join(os.tmpdir(), `hazel-analytics-${process.pid}.log`)
+    const analytics = createAnalytics({ analytics: 'file', analyticsPath: file })
+
+    await analytics.record({ route: 'update' })
+    await analytics.record({ route: 'download' })
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n')
+    fs.unlinkSync(file)
+
+    expect(lines.map(line => JSON.parse(line).route)).toEqual([
+      'update',
+      'download'
+    ])
+  })
+
+  it('Should forget events outside of the window', () => {
+    const analytics = createAnalytics({ statsWindow: 60 })
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+
+    analytics.record({ date: old, route: 'update' })
+    analytics.record({ date: new Date().toISOString(), route: 'download' })
+
+    const summary = analytics.summary()
+
+    expect(summary.total).toBe(1)
+    expect(summary.routes).toEqual({ download: 1 })
+  })
+
+  it('Should never fail because of the sink', async () => {
+    const analytics = createAnalytics({
+      analytics: {
+        write: async () => {
+          throw new Error('Unavailable')
+        }
+      }
+    })
+
+    await expect(analytics.record({ route: 'update' })).resolves.toBe(undefined)
+  })
+
+  describe('Routes', () => {
+    const events = []
+    const sink = { write: async event => events.push(event) }
+
+    const app = helpers.serve({ source, analytics: sink })
+
+    it('Should emit an event for update checks', async () => {
+      await fetch(`${app.url}/update/darwin_arm64/0.9.0`, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh) Hyper/0.9.0 Electron/1.7.9',
+          'CF-IPCountry': 'DE'
+        }
+      })
+      await settle()
+
+      expect(events.pop()).toMatchObject({
+        route: 'update',
+        platform: 'darwin_arm64',
+        arch: 'arm64',
+        version: '0.9.0',
+        channel: 'stable',
+        userAgent: 'Electron',
+        country: 'DE',
+        status: 200,
+        outcome: 'ok'
+      })
+    })
+
+    it('Should emit an event for downloads', async () => {
+      await fetch(`${app.url}/download/beta/mac`, { redirect: 'manual' })
+      await settle()
+
+      expect(events.pop()).toMatchObject({
+        route: 'downloadPlatform',
+        platform: 'darwin',
+        channel: 'beta',
+        outcome: 'redirect'
+      })
+    })
+
+    it('Should emit a single event for requests passed on', async () => {
+      const count = events.length
+
+      await fetch(`${app.url}/download/beta/mac`, { redirect: 'manual' })
+      await settle()
+
+      expect(events.length).toBe(count + 1)
+    })
+
+    it('Should emit an event for manifests', async () => {
+      await fetch(`${app.url}/latest-mac.yml`)
+      await settle()
+
+      expect(events.pop()).toMatchObject({
+        route: 'yamlMac',
+        platform: 'darwin',
+        channel: 'stable'
+      })
+    })
+
+    it('Should summarize the recent events', async () => {
+      const response = await fetch(`${app.url}/stats`)
+      const content = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(content.total).toBe(4)
+      expect(content.routes).toEqual({
+        update: 1,
+        downloadPlatform: 2,
+        yamlMac: 1
+      })
+      expect(content.countries).toEqual({ DE: 1 })
+    })
+  })
+})
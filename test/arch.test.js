@@ -0,0 +1,119 @@
+/* global describe, it, expect */
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const archs = require('../lib/arch')
+const checkAlias = require('../lib/aliases')
+const helpers = require('./helpers')
+
+const release = helpers.release('1.0.0', [
+  'hyper-1.0.0-universal-mac.zip',
+  'hyper-1.0.0-x64.exe',
+  'hyper-1.0.0-ia32.exe',
+  'hyper-1.0.0-arm64.exe',
+  'hyper-1.0.0-armv7l.AppImage'
+])
+
+describe('Architectures', () => {
+  it('Should normalize aliases', () => {
+    expect(archs.normalize('aarch64')).toBe('arm64')
+    expect(archs.normalize('x86_64')).toBe('x64')
+    expect(archs.normalize('i386')).toBe('ia32')
+    expect(archs.normalize('armhf')).toBe('armv7l')
+    expect(archs.normalize('mac')).toBe(false)
+  })
+
+  it('Should detect the architecture of assets', () => {
+    expect(archs.detect('hyper-1.0.0-universal-mac.zip')).toBe('universal')
+    expect(archs.detect('hyper_1.0.0_aarch64.deb')).toBe('arm64')
+    expect(archs.detect('hyper-1.0.0.x86_64.rpm')).toBe('x64')
+    expect(archs.detect('hyper-1.0.0-x86.exe')).toBe('ia32')
+    expect(archs.detect('hyper-1.0.0.dmg')).toBe('x64')
+  })
+
+  it('Should build and split keys', () => {
+    expect(archs.key('win32', 'x64')).toBe('win32')
+    expect(archs.key('win32', 'arm64')).toBe('win32_arm64')
+    expect(archs.split('darwin_universal')).toEqual({
+      platform: 'darwin',
+      arch: 'universal'
+    })
+    expect(archs.split('win32')).toEqual({ platform: 'win32', arch: 'x64' })
+  })
+
+  it('Should resolve aliases with an architecture', () => {
+    expect(checkAlias('win_ia32')).toBe('win32_ia32')
+    expect(checkAlias('mac_universal')).toBe('darwin_universal')
+    expect(checkAlias('windows_x64')).toBe('win32')
+  })
+
+  it('Should fall back to universal builds', () => {
+    const platforms = { darwin_universal: { name: 'universal' } }
+
+    expect(archs.find(platforms, 'darwin_arm64').key).toBe('darwin_universal')
+    expect(archs.find(platforms, 'darwin').key).toBe('darwin_universal')
+    expect(archs.find(platforms, 'win32')).toBe(null)
+  })
+
+  describe('Routes', () => {
+    const source = {
+      fetchReleases: async () => [release],
+      fetchAsset: async () => ''
+    }
+
+    const app = helpers.serve({ source })
+
+    const check = async path => {
+      const response = await fetch(`${app.url}${path}`)
+      return response.status === 200 ? (await response.json()).url : response.status
+    }
+
+    it('Should serve the build of the architecture', async () => {
+      expect(await check('/update/win32/ia32/0.9.0')).toBe(
+        'https://example.com/hyper-1.0.0-ia32.exe'
+      )
+      expect(await check('/update/windows/aarch64/0.9.0')).toBe(
+        'https://example.com/hyper-1.0.0-arm64.exe'
+      )
+      expect(await check('/update/win32/0.9.0')).toBe(
+        'https://example.com/hyper-1.0.0-x64.exe'
+      )
+      expect(await check('/update/linux/armv7l/0.9.0')).toBe(
+        'https://example.com/hyper-1.0.0-armv7l.AppImage'
+      )
+    })
+
+    it('Should serve universal builds to every architecture', async () => {
+      expect(await check('/update/darwin/arm64/0.9.0')).toBe(
+        'https://example.com/hyper-1.0.0-universal-mac.zip'
+      )
+      expect(await check('/update/mac/0.9.0')).toBe(
+        'https://example.com/hyper-1.0.0-universal-mac.zip'
+      )
+    })
+
+    it('Should not serve builds of other architectures', async () => {
+      expect(await check('/update/linux/0.9.0')).toBe(204)
+    })
+
+    it('Should still serve channels', async () => {
+      expect(await check('/update/beta/win32/0.9.0')).toBe(
+        'https://example.com/hyper-1.0.0-x64.exe'
+      )
+      expect(await check('/update/beta/win32/arm64/0.9.0')).toBe(
+        'https://example.com/hyper-1.0.0-arm64.exe'
+      )
+    })
+
+    it('Should download universal builds', async () => {
+      const response = await fetch(`${app.url}/download/mac_arm64?update=true`, {
+        redirect: 'manual'
+      })
+
+      expect(response.headers.get('location')).toBe(
+        'https://example.com/hyper-1.0.0-universal-mac.zip'
+      )
+    })
+  })
+})
@@ -0,0 +1,167 @@
+/* global describe, it, expect */
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const createAuth = require('../lib/auth')
+const { validate } = require('../lib/config')
+const helpers = require('./helpers')
+
+const release = (version, prerelease) =>
+  helpers.release(
+    version,
+    [
+      `hyper-${version}-mac.zip`,
+      `hyper-${version}-arm64-mac.zip`,
+      `hyper-${version}.exe`,
+      `hyper-${version}-full.nupkg`,
+      'RELEASES'
+    ],
+    { prerelease }
+  )
+
+const config = {
+  url: 'https://hazel.example.com',
+  signingSecret: 'secret',
+  clientTokens: {
+    everything: {},
+    mac: { platforms: ['mac'] },
+    beta: { channels: ['beta'] }
+  }
+}
+
+describe('Authentication', () => {
+  it('Should parse tokens', () => {
+    expect(validate(Object.assign({}, config, { clientTokens: 'a, b' })).clientTokens).toEqual({
+      a: { channels: null, platforms: null },
+      b: { channels: null, platforms: null }
+    })
+
+    expect(
+      validate(
+        Object.assign({}, config, {
+          clientTokens: '{"a": {"channels": ["latest"], "platforms": "darwin"}}'
+        })
+      ).clientTokens
+    ).toEqual({ a: { channels: ['stable'], platforms: ['darwin'] } })
+  })
+
+  it('Should require a secret for signing', () => {
+    expect(() => validate({ clientTokens: 'a', url: config.url })).toThrow(
+      /SIGNING_SECRET/
+    )
+  })
+
+  it('Should check channels and platforms', () => {
+    const auth = createAuth(config)
+    const mac = { channels: null, platforms: ['mac'] }
+
+    expect(auth.allows(null, { platform: 'win32' })).toBe(true)
+    expect(auth.allows(mac, { platform: 'darwin_arm64' })).toBe(true)
+    expect(auth.allows(mac, { platform: 'win32' })).toBe(false)
+    expect(auth.allows({ channels: ['beta'] }, { channel: 'stable' })).toBe(false)
+  })
+
+  describe('Routes', () => {
+    const source = {
+      fetchReleases: async () => [release('1.1.0-beta.1', true), release('1.0.0')],
+      fetchAsset: async ({ name }) =>
+        name === 'RELEASES' ? 'ABCDEF hyper-1.0.0-full.nupkg 11' : ''
+    }
+
+    const app = helpers.serve(
+      Object.assign({ source }, config, {
+        clientTokens: JSON.stringify(config.clientTokens)
+      })
+    )
+
+    const request = (path, token) =>
+      fetch(`${app.url}${path}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        redirect: 'manual'
+      })
+
+    it('Should require a token', async () => {
+      const response = await request('/download/darwin')
+
+      expect(response.status).toBe(401)
+      expect(response.headers.get('www-authenticate')).toBe('Bearer')
+      expect((await request('/update/darwin/0.9.0')).status).toBe(401)
+      expect((await request('/download/darwin', 'invalid')).status).toBe(401)
+    })
+
+    it('Should leave the health checks public', async () => {
+      expect((await request('/healthz')).status).toBe(200)
+    })
+
+    it('Should let clients with a token through', async () => {
+      const response = await request('/download/darwin', 'everything')
+
+      expect(response.status).toBe(302)
+      expect(response.headers.get('location')).toBe(
+        'https://example.com/hyper-1.0.0-mac.zip'
+      )
+    })
+
+    it('Should restrict tokens to their platforms', async () => {
+      expect((await request('/download/darwin_arm64', 'mac')).status).toBe(302)
+      expect((await request('/download/win32', 'mac')).status).toBe(403)
+      expect((await request('/update/win32/0.9.0', 'mac')).status).toBe(403)
+      expect((await request('/latest.yml', 'mac')).status).toBe(403)
+    })
+
+    it('Should restrict tokens to their channels', async () => {
+      expect((await request('/download/beta/win32', 'beta')).status).toBe(302)
+      expect((await request('/download/win32', 'beta')).status).toBe(403)
+      expect((await request('/update/beta/win32/0.9.0', 'beta')).status).toBe(200)
+    })
+
+    it('Should only list accessible releases', async () => {
+      const response = await request('/releases.json', 'mac')
+      const releases = await response.json()
+
+      expect(Object.keys(releases[0].platforms)).toEqual(['darwin', 'darwin_arm64'])
+    })
+
+    it('Should send signed links in updates', async () => {
+      const response = await request('/update/darwin/0.9.0', 'everything')
+      const { url: link } = await response.json()
+
+      expect(link).toMatch(/^https:\/\/hazel\.example\.com\/download\/darwin\/1\.0\.0\?/)
+
+      const signed = await request(link.replace(config.url, ''))
+
+      expect(signed.status).toBe(302)
+      expect(signed.headers.get('location')).toBe(
+        'https://example.com/hyper-1.0.0-mac.zip'
+      )
+    })
+
+    it('Should send signed links in RELEASES', async () => {
+      const response = await request('/update/win32/0.9.0/RELEASES', 'everything')
+      const [, link] = (await response.text()).split(' ')
+
+      expect(link).toMatch(
+        /^https:\/\/hazel\.example\.com\/files\/1\.0\.0\/hyper-1\.0\.0-full\.nupkg\?expires=\d+&signature=\w+$/
+      )
+
+      const signed = await request(link.replace(config.url, ''))
+      expect(signed.headers.get('location')).toBe(
+        'https://example.com/hyper-1.0.0-full.nupkg'
+      )
+    })
+
+    it('Should reject invalid and expired signatures', async () => {
+      const auth = createAuth(config)
+      const signed = auth.sign('/download/darwin/1.0.0')
+
+      const tampered = signed.replace('/darwin/', '/win32/')
+      expect((await request(tampered)).status).toBe(403)
+
+      const expired = createAuth(Object.assign({}, config, { signedUrlTtl: -1 }))
+      expect((await request(expired.sign('/download/darwin/1.0.0'))).status).toBe(
+        403
+      )
+    })
+  })
+})
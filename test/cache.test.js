@@ -1,6 +1,7 @@
 /* eslint-disable no-new */
 /* global describe, it, expect */
 const Cache = require('../lib/cache')
+const createStorage = require('../lib/storage')
 
 describe('Cache', () => {
   it('should throw when account is not defined', () => {
@@ -64,3 +65,248 @@ describe('Cache', () => {
     console.log(storage.platforms.darwin)
   })
 })
+
+describe('Cache history', () => {
+  const release = (tag, options = {}) =>
+    Object.assign(
+      {
+        tag_name: tag,
+        body: `Notes for ${tag}`,
+        published_at: '2018-01-01T00:00:00Z',
+        draft: false,
+        prerelease: false,
+        assets: [
+          {
+            name: `hyper-${tag}-mac.zip`,
+            browser_download_url: `https://example.com/${tag}/mac.zip`,
+            url: `https://api.example.com/${tag}/mac.zip`,
+            content_type: 'application/zip',
+            size: 1000000,
+            updated_at: '2018-01-01T00:00:00Z'
+          }
+        ]
+      },
+      options
+    )
+
+  const createCache = (data, config = {}) => {
+    const cache = new Cache(
+      Object.assign({ account: 'zeit', repository: 'hyper' }, config)
+    )
+
+    cache.fetchReleases = async () => data
+    return cache
+  }
+
+  it('should keep every release that is not a draft', async () => {
+    const cache = createCache([
+      release('2.1.0', { draft: true }),
+      release('2.0.0'),
+      release('1.0.0')
+    ])
+
+    const releases = await cache.loadReleases()
+
+    expect(releases.map(item => item.version)).toEqual(['2.0.0', '1.0.0'])
+    expect(releases[1].platforms.darwin.url).toBe(
+      'https://example.com/1.0.0/mac.zip'
+    )
+  })
+
+  it('should pick the latest release based on the pre option', async () => {
+    const data = [release('2.0.0-beta.1', { prerelease: true }), release('1.0.0')]
+
+    expect((await createCache(data).loadCache()).version).toBe('1.0.0')
+    expect((await createCache(data, { pre: '1' }).loadCache()).version).toBe(
+      '2.0.0-beta.1'
+    )
+  })
+
+  it('should fall back to the newest release that was not yanked', async () => {
+    const cache = createCache([release('2.0.0'), release('1.0.0')], {
+      yanked: 'v2.0.0'
+    })
+
+    const latest = await cache.loadCache()
+
+    expect(latest.version).toBe('1.0.0')
+    expect(cache.releases[0].yanked).toBe(true)
+  })
+
+  it('should evict releases right away', async () => {
+    const cache = createCache([release('2.0.0'), release('1.0.0')])
+
+    await cache.refreshCache()
+
+    expect(await cache.evict('v2.0.0')).toBe(true)
+    expect(cache.latest.version).toBe('1.0.0')
+    expect(await cache.evict('3.0.0')).toBe(false)
+
+    const { releases } = await cache.storage.get()
+    expect(releases.map(item => item.version)).toEqual(['1.0.0'])
+  })
+
+  it('should not bring back releases evicted during a refresh', async () => {
+    const data = [release('2.0.0'), release('1.0.0')]
+    const cache = createCache(data)
+
+    cache.fetchReleases = async () => data.slice()
+    await cache.refreshCache()
+
+    const running = cache.refreshCache()
+
+    data.shift()
+    await cache.evict('2.0.0')
+    await cache.refreshCache({ fresh: true })
+    await running
+
+    expect(cache.releases.map(item => item.version)).toEqual(['1.0.0'])
+    expect(cache.latest.version).toBe('1.0.0')
+  })
+
+  it('should keep serving the last good cache if refreshing fails', async () => {
+    const cache = createCache([release('1.0.0')], { interval: 0 })
+
+    await cache.loadCache()
+
+    cache.lastUpdate -= 1000
+    cache.fetchReleases = async () => {
+      throw new Error('Rate limit exceeded')
+    }
+
+    expect((await cache.loadCache()).version).toBe('1.0.0')
+  })
+
+  it('should read the snapshot stored by other instances', async () => {
+    const storage = createStorage({})
+    const first = createCache([release('1.0.0')], { storage })
+
+    await first.loadCache()
+
+    const second = createCache([], { storage })
+    second.fetchReleases = async () => {
+      throw new Error('Should not be refreshed')
+    }
+
+    expect((await second.loadCache()).version).toBe('1.0.0')
+    expect(second.lastUpdate).toBe(first.lastUpdate)
+  })
+
+  it('should not refresh while another instance holds the lock', async () => {
+    const storage = createStorage({})
+    const first = createCache([release('1.0.0')], { storage, interval: 0 })
+
+    await first.loadCache()
+
+    storage.snapshot.lastUpdate -= 1000
+    storage.lock = async () => false
+
+    const second = createCache([release('2.0.0')], { storage, interval: 0 })
+    expect((await second.loadCache()).version).toBe('1.0.0')
+  })
+
+  it('should serve outdated caches while refreshing them once', async () => {
+    const data = [release('1.0.0')]
+    const cache = createCache(data, { interval: 0 })
+    let fetched = 0
+
+    cache.fetchReleases = async () => {
+      fetched += 1
+      return data
+    }
+
+    await cache.loadCache()
+
+    cache.lastUpdate -= 1000
+    cache.storage.snapshot.lastUpdate -= 1000
+    data.unshift(release('2.0.0'))
+
+    const results = await Promise.all([cache.loadCache(), cache.loadCache()])
+
+    expect(results.map(latest => latest.version)).toEqual(['1.0.0', '1.0.0'])
+
+    await cache.syncing
+    expect(fetched).toBe(2)
+    expect(cache.latest.version).toBe('2.0.0')
+  })
+
+  it('should expose the error of the last refresh', async () => {
+    const cache = createCache([])
+
+    cache.fetchReleases = async () => {
+      throw new Error('GitHub is down')
+    }
+
+    expect(await cache.loadCache()).toEqual({})
+    expect(cache.lastError.message).toBe('GitHub is down')
+  })
+
+  it('should reuse releases whose assets have not changed', async () => {
+    const data = [release('1.0.0')]
+    const cache = createCache(data)
+
+    await cache.refreshCache()
+    const [first] = cache.releases
+
+    data[0] = release('1.0.0', { body: '<!-- rollout: 5% -->' })
+    await cache.refreshCache()
+
+    expect(cache.releases[0]).toBe(first)
+    expect(cache.releases[0].rollout).toBe(5)
+  })
+
+  it('should prefer assets matched by rules with a higher priority', async () => {
+    const assets = [
+      {
+        name: 'hyper-1.0.0.dmg',
+        browser_download_url: 'https://example.com/hyper-1.0.0.dmg',
+        url: 'https://api.example.com/hyper-1.0.0.dmg',
+        content_type: 'application/octet-stream',
+        size: 1000000,
+        updated_at: '2018-01-01T00:00:00Z'
+      },
+      {
+        name: 'hyper-1.0.0-mac.zip',
+        browser_download_url: 'https://example.com/hyper-1.0.0-mac.zip',
+        url: 'https://api.example.com/hyper-1.0.0-mac.zip',
+        content_type: 'application/octet-stream',
+        size: 1000000,
+        updated_at: '2018-01-01T00:00:00Z'
+      },
+      {
+        name: 'hyper-1.0.0-portable.exe',
+        browser_download_url: 'https://example.com/hyper-1.0.0-portable.exe',
+        url: 'https://api.example.com/hyper-1.0.0-portable.exe',
+        content_type: 'application/octet-stream',
+        size: 1000000,
+        updated_at: '2018-01-01T00:00:00Z'
+      },
+      {
+        name: 'hyper-1.0.0.msi',
+        browser_download_url: 'https://example.com/hyper-1.0.0.msi',
+        url: 'https://api.example.com/hyper-1.0.0.msi',
+        content_type: 'application/octet-stream',
+        size: 1000000,
+        updated_at: '2018-01-01T00:00:00Z'
+      },
+      {
+        name: 'hyper-1.0.0.exe',
+        browser_download_url: 'https://example.com/hyper-1.0.0.exe',
+        url: 'https://api.example.com/hyper-1.0.0.exe',
+        content_type: 'application/octet-stream',
+        size: 1000000,
+        updated_at: '2018-01-01T00:00:00Z'
+      }
+    ]
+
+    const cache = createCache([release('1.0.0', { assets })], {
+      platformRules: [{ match: '*.msi', platform: 'win32', format: 'msi' }]
+    })
+
+    const { platforms } = await cache.loadCache()
+
+    expect(platforms.darwin.name).toBe('hyper-1.0.0-mac.zip')
+    expect(platforms.darwin.format).toBe('zip')
+    expect(platforms.win32.name).toBe('hyper-1.0.0.msi')
+  })
+})
@@ -0,0 +1,38 @@
+/* global describe, it, expect */
+const channels = require('../lib/channels')
+
+const releases = [
+  { version: 'v1.4.0-alpha.1', channel: 'alpha' },
+  { version: 'v1.3.0-beta.2', channel: 'beta' },
+  { version: 'v1.3.0', channel: 'stable' },
+  { version: 'v1.2.0', channel: 'stable' }
+]
+
+describe('Channels', () => {
+  it('Should derive the channel from the version', () => {
+    expect(channels.of('1.3.0-beta.2', true)).toBe('beta')
+    expect(channels.of('v1.3.0-Alpha', false)).toBe('alpha')
+    expect(channels.of('1.3.0', false)).toBe('stable')
+  })
+
+  it('Should fall back to beta for pre-releases without a tag', () => {
+    expect(channels.of('1.3.0', true)).toBe('beta')
+    expect(channels.of('1.3.0-1', false)).toBe('beta')
+  })
+
+  it('Should normalize the name of the channel', () => {
+    expect(channels.normalize('latest')).toBe('stable')
+    expect(channels.normalize('BETA')).toBe('beta')
+    expect(channels.normalize('../beta')).toBe(false)
+  })
+
+  it('Should offer newer stable releases to clients on beta', () => {
+    expect(channels.latest(releases, 'beta').version).toBe('v1.3.0')
+    expect(channels.latest(releases, 'alpha').version).toBe('v1.4.0-alpha.1')
+    expect(channels.latest(releases, 'stable').version).toBe('v1.3.0')
+  })
+
+  it('Should only offer stable releases to unknown channels', () => {
+    expect(channels.latest(releases, 'nightly').version).toBe('v1.3.0')
+  })
+})
@@ -0,0 +1,129 @@
+/* global describe, it, expect */
+// Native
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Packages
+const micro = require('micro')
+const listen = require('test-listen')
+const fetch = require('node-fetch')
+
+// Utilities
+const hazel = require('../lib')
+const { fromEnv, load, validate } = require('../lib/config')
+const checkAlias = require('../lib/aliases')
+const checkPlatform = require('../lib/platform')
+
+const temporary = (name, content) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hazel-config-'))
+  const file = path.join(directory, name)
+
+  fs.writeFileSync(file, content)
+  return { directory, file }
+}
+
+describe('Config', () => {
+  it('Should read and trim the environment', () => {
+    const config = fromEnv(
+      { ACCOUNT: ' vercel ', INTERVAL: '30', VERCEL_URL: 'hazel.test' },
+      os.tmpdir()
+    )
+
+    expect(config.account).toBe('vercel')
+    expect(config.interval).toBe('30')
+    expect(config.url).toBe('hazel.test')
+    expect(config).not.toHaveProperty('repository')
+  })
+
+  it('Should find a configuration file in the working directory', () => {
+    const { directory, file } = temporary('hazel.config.yml', 'pre: true\n')
+
+    expect(fromEnv({}, directory).configFile).toBe(file)
+    expect(fromEnv({ HAZEL_CONFIG: '/etc/hazel.json' }, directory).configFile).toBe(
+      '/etc/hazel.json'
+    )
+  })
+
+  it('Should merge the file with the environment', () => {
+    const { file } = temporary(
+      'hazel.config.yml',
+      'account: vercel\nrepository: hyper\ninterval: 1h\n'
+    )
+
+    const config = load({ configFile: file, repository: 'hazel' })
+
+    expect(config.account).toBe('vercel')
+    expect(config.repository).toBe('hazel')
+    expect(config.interval).toBe(60)
+  })
+
+  it('Should reject unknown options in the file', () => {
+    const { file } = temporary('hazel.config.json', '{ "acount": "vercel" }')
+
+    expect(() => load({ configFile: file })).toThrow(/unknown option acount/)
+  })
+
+  it('Should reject files that cannot be parsed', () => {
+    const { file } = temporary('hazel.config.json', '{ account: ')
+
+    try {
+      load({ configFile: file })
+    } catch (err) {
+      expect(err.code).toBe('invalid_configuration_file')
+      return
+    }
+
+    throw new Error('Expected the file to be rejected')
+  })
+
+  it('Should convert values to their types', () => {
+    const config = validate({
+      pre: 'false',
+      interval: '90s',
+      readyIntervals: '2',
+      yanked: '["1.0.0"]',
+      source: { fetchReleases: () => [] }
+    })
+
+    expect(config.pre).toBe(false)
+    expect(config.interval).toBe(1.5)
+    expect(config.readyIntervals).toBe(2)
+    expect(config.yanked).toEqual(['1.0.0'])
+    expect(typeof config.source).toBe('object')
+  })
+
+  it('Should reject values of the wrong type', () => {
+    expect(() => validate({ pre: 'maybe' })).toThrow(/PRE must be a boolean/)
+    expect(() => validate({ interval: 'soon' })).toThrow(/INTERVAL must be a duration/)
+    expect(() => validate({ readyIntervals: '-1' })).toThrow(/READY_INTERVALS/)
+    expect(() => validate({ patterns: { snap: '(' } })).toThrow(/invalid pattern/)
+  })
+
+  it('Should support custom aliases and patterns', () => {
+    const config = validate({
+      aliases: '{ "darwin": "mojave, sonoma" }',
+      patterns: { snap: '\\.snap$' }
+    })
+
+    expect(checkAlias('sonoma', config.aliases)).toBe('darwin')
+    expect(checkAlias('snap', config.aliases)).toBe('snap')
+    expect(checkAlias('mac', config.aliases)).toBe('darwin')
+    const rules = checkPlatform.compile(config)
+
+    expect(checkPlatform('hyper_1.0.0_amd64.snap', rules)).toBe('snap')
+    expect(checkPlatform('hyper-1.0.0.exe', rules)).toBe('win32')
+  })
+
+  it('Should respond with the code of invalid options', async () => {
+    const server = micro(hazel({ pre: 'maybe' }))
+    const url = await listen(server)
+    const response = await fetch(`${url}/`)
+    const content = await response.json()
+
+    server.close()
+
+    expect(response.status).toBe(400)
+    expect(content.error.code).toBe('invalid_configuration_properties')
+  })
+})
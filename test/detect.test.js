@@ -0,0 +1,151 @@
+/* global describe, it, expect */
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const detect = require('../lib/detect')
+const helpers = require('./helpers')
+
+const agents = {
+  mac:
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  windows:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  windows32: 'Mozilla/5.0 (Windows NT 10.0) AppleWebKit/537.36 (KHTML, like Gecko)',
+  ubuntu:
+    'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0',
+  fedora:
+    'Mozilla/5.0 (X11; Fedora; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0',
+  linux: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko)',
+  linuxArm: 'Mozilla/5.0 (X11; Linux aarch64) AppleWebKit/537.36 (KHTML, like Gecko)',
+  iphone:
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148'
+}
+
+const request = (agent, hints = {}) => ({
+  headers: Object.assign({ 'user-agent': agent }, hints)
+})
+
+const release = helpers.release('1.0.0', [
+  'hyper-1.0.0-mac.zip',
+  'hyper-1.0.0.dmg',
+  'hyper-1.0.0-arm64.dmg',
+  'hyper-1.0.0-x64.exe',
+  'hyper-1.0.0.AppImage',
+  'hyper_1.0.0_amd64.deb',
+  'hyper-1.0.0.x86_64.rpm'
+])
+
+describe('Detection', () => {
+  it('Should detect the operating system', () => {
+    expect(detect(request(agents.mac)).os).toBe('darwin')
+    expect(detect(request(agents.windows)).os).toBe('win32')
+    expect(detect(request(agents.linux)).os).toBe('linux')
+    expect(detect(request(agents.iphone))).toBe(null)
+    expect(detect(request('curl/7.64.1'))).toBe(null)
+  })
+
+  it('Should prefer the packages of Linux distributions', () => {
+    expect(detect(request(agents.ubuntu)).keys).toEqual([
+      'deb',
+      'deb_universal',
+      'linux',
+      'linux_universal'
+    ])
+    expect(detect(request(agents.fedora)).keys[0]).toBe('rpm')
+    expect(detect(request(agents.linux)).keys[0]).toBe('linux')
+  })
+
+  it('Should detect the architecture', () => {
+    expect(detect(request(agents.windows)).arch).toBe('x64')
+    expect(detect(request(agents.windows32)).arch).toBe('ia32')
+    expect(detect(request(agents.linuxArm)).keys[0]).toBe('linux_arm64')
+  })
+
+  it('Should prefer client hints', () => {
+    const detected = detect(
+      request(agents.mac, {
+        'sec-ch-ua-platform': '"macOS"',
+        'sec-ch-ua-arch': '"arm"',
+        'sec-ch-ua-bitness': '"64"'
+      })
+    )
+
+    expect(detected.arch).toBe('arm64')
+    expect(detected.keys).toEqual(['darwin_arm64', 'darwin_universal', 'darwin'])
+  })
+
+  it('Should prefer archives for updates of macOS', () => {
+    expect(detect(request(agents.mac)).formats[0]).toBe('dmg')
+    expect(detect(request(agents.mac), true).formats).toEqual(['zip'])
+  })
+
+  describe('Routes', () => {
+    const source = {
+      fetchReleases: async () => [release],
+      fetchAsset: async () => ''
+    }
+
+    const app = helpers.serve({ source })
+
+    const download = (headers, path = '/download') =>
+      fetch(`${app.url}${path}`, { headers, redirect: 'manual' })
+
+    const location = async (agent, hints, path) => {
+      const headers = Object.assign({ 'User-Agent': agent }, hints)
+      const response = await download(headers, path)
+
+      return response.headers.get('location')
+    }
+
+    it('Should serve the package of the distribution', async () => {
+      expect(await location(agents.ubuntu)).toBe(
+        'https://example.com/hyper_1.0.0_amd64.deb'
+      )
+      expect(await location(agents.fedora)).toBe(
+        'https://example.com/hyper-1.0.0.x86_64.rpm'
+      )
+      expect(await location(agents.linux)).toBe(
+        'https://example.com/hyper-1.0.0.AppImage'
+      )
+    })
+
+    it('Should serve installers to Windows', async () => {
+      expect(await location(agents.windows)).toBe(
+        'https://example.com/hyper-1.0.0-x64.exe'
+      )
+    })
+
+    it('Should serve images unless updating macOS', async () => {
+      expect(await location(agents.mac)).toBe('https://example.com/hyper-1.0.0.dmg')
+      expect(await location(agents.mac, {}, '/download?update=true')).toBe(
+        'https://example.com/hyper-1.0.0-mac.zip'
+      )
+    })
+
+    it('Should serve the architecture of the client hints', async () => {
+      const hints = { 'Sec-CH-UA-Platform': '"macOS"', 'Sec-CH-UA-Arch': '"arm"' }
+
+      expect(await location(agents.mac, hints)).toBe(
+        'https://example.com/hyper-1.0.0-arm64.dmg'
+      )
+    })
+
+    it('Should ask for client hints', async () => {
+      const response = await download({ 'User-Agent': agents.mac })
+
+      expect(response.headers.get('accept-ch')).toBe(detect.hints.join(', '))
+      expect(response.headers.get('vary')).toMatch(/User-Agent/)
+    })
+
+    it('Should list every build for unknown platforms', async () => {
+      const response = await download({ 'User-Agent': agents.iphone })
+      const content = await response.text()
+
+      expect(response.status).toBe(200)
+      expect(content).toMatch('/files/1.0.0/hyper-1.0.0-arm64.dmg')
+      expect(content).toMatch('macOS · arm64 · dmg')
+      expect(content).toMatch('Linux · rpm')
+    })
+  })
+})
@@ -0,0 +1,22 @@
+/* global describe, it, expect */
+const disposition = require('../lib/disposition')
+
+describe('Disposition', () => {
+  it('Should quote plain names', () => {
+    expect(disposition('hyper-1.0.0.dmg')).toBe(
+      'attachment; filename="hyper-1.0.0.dmg"'
+    )
+  })
+
+  it('Should escape quotes', () => {
+    expect(disposition('hyper "beta".dmg')).toBe(
+      'attachment; filename="hyper \\"beta\\".dmg"'
+    )
+  })
+
+  it('Should encode names outside of Latin-1', () => {
+    expect(disposition('Hyper-1.0.0-日本.dmg')).toBe(
+      "attachment; filename=\"Hyper-1.0.0-??.dmg\"; filename*=UTF-8''Hyper-1.0.0-%E6%97%A5%E6%9C%AC.dmg"
+    )
+  })
+})
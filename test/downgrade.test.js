@@ -0,0 +1,41 @@
+/* global describe, it, expect */
+const downgrade = require('../lib/downgrade')
+
+const release = { version: 'v1.2.0', rollback: false }
+const rollback = { version: 'v1.2.0', rollback: true }
+
+describe('Downgrade', () => {
+  it('Should parse the marker in the release notes', () => {
+    expect(downgrade.parseMarker('Back to 1.2.0 <!-- rollback -->')).toBe(true)
+    expect(downgrade.parseMarker('Regular release')).toBe(false)
+  })
+
+  it('Should parse the list of yanked versions', () => {
+    expect(downgrade.parseList('v1.3.0, 1.3.1,')).toEqual(['1.3.0', '1.3.1'])
+    expect(downgrade.parseList(undefined)).toEqual([])
+  })
+
+  it('Should always allow upgrades', () => {
+    const options = { policy: 'never', target: release, from: '1.1.0' }
+    expect(downgrade.isAllowed(options)).toBe(true)
+  })
+
+  it('Should only allow downgrades to rollback releases by default', () => {
+    expect(downgrade.isAllowed({ target: release, from: '1.3.0' })).toBe(false)
+    expect(downgrade.isAllowed({ target: rollback, from: '1.3.0' })).toBe(true)
+  })
+
+  it('Should allow downgrades for clients on yanked versions', () => {
+    const options = { target: release, from: '1.3.0', yanked: ['1.3.0'] }
+    expect(downgrade.isAllowed(options)).toBe(true)
+  })
+
+  it('Should respect the policy', () => {
+    expect(
+      downgrade.isAllowed({ policy: 'always', target: release, from: '1.3.0' })
+    ).toBe(true)
+    expect(
+      downgrade.isAllowed({ policy: 'never', target: rollback, from: '1.3.0' })
+    ).toBe(false)
+  })
+})
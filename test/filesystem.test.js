@@ -0,0 +1,210 @@
+/* global describe, it, expect, beforeAll, afterAll */
+// Native
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+
+// Packages
+const micro = require('micro')
+const listen = require('test-listen')
+const fetch = require('node-fetch')
+
+// Utilities
+const hazel = require('../lib')
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hazel-'))
+
+const files = {
+  '1.0.0': {
+    'hyper-1.0.0-mac.zip': 'mac 1.0.0',
+    'hyper-1.0.0-mac.zip.blockmap': 'blockmap 1.0.0',
+    'notes.md': 'First release'
+  },
+  '1.1.0': {
+    'hyper-1.1.0-mac.zip': 'mac 1.1.0',
+    'hyper-1.1.0-mac.zip.blockmap': 'blockmap 1.1.0',
+    'hyper-1.1.0-full.nupkg': 'nupkg 1.1.0',
+    RELEASES: 'ABCDEF hyper-1.1.0-full.nupkg 11',
+    'latest-mac.yml': [
+      'version: 1.1.0',
+      'files:',
+      '  - url: hyper-1.1.0-mac.zip',
+      '    sha512: abc',
+      '    size: 9',
+      'path: hyper-1.1.0-mac.zip',
+      "releaseDate: '2018-01-01T00:00:00.000Z'"
+    ].join('\n'),
+    'Hyper-1.1.0-日本.dmg': 'dmg 1.1.0',
+    'latest-linux.yml': 'files: [unclosed',
+    'notes.md': 'Second release'
+  }
+}
+
+describe('Filesystem', () => {
+  let server
+  let url
+
+  beforeAll(async () => {
+    for (const version of Object.keys(files)) {
+      fs.mkdirSync(path.join(directory, version))
+
+      for (const name of Object.keys(files[version])) {
+        fs.writeFileSync(path.join(directory, version, name), files[version][name])
+      }
+    }
+
+    // The URL of the server is only known once it listens
+    const app = {}
+
+    server = micro((req, res) => app.handler(req, res))
+    url = await listen(server)
+    app.handler = hazel({ source: 'filesystem', directory, url })
+  })
+
+  afterAll(() => {
+    server.close()
+
+    for (const version of Object.keys(files)) {
+      for (const name of Object.keys(files[version])) {
+        fs.unlinkSync(path.join(directory, version, name))
+      }
+
+      fs.rmdirSync(path.join(directory, version))
+    }
+
+    fs.rmdirSync(directory)
+  })
+
+  it('Should stream the latest download', async () => {
+    const response = await fetch(`${url}/download/darwin?update=true`)
+
+    expect(response.status).toBe(200)
+    expect(response.headers.get('content-disposition')).toBe(
+      'attachment; filename="hyper-1.1.0-mac.zip"'
+    )
+    expect(await response.text()).toBe('mac 1.1.0')
+  })
+
+  it('Should stream pinned downloads', async () => {
+    const response = await fetch(`${url}/download/darwin/1.0.0?update=true`)
+    expect(await response.text()).toBe('mac 1.0.0')
+  })
+
+  it('Should point updates to Hazel', async () => {
+    const response = await fetch(`${url}/update/darwin/1.0.0`)
+    const content = await response.json()
+
+    expect(content.name).toBe('1.1.0')
+    expect(content.notes).toBe('Second release')
+    expect(content.url).toBe(`${url}/files/1.1.0/hyper-1.1.0-mac.zip`)
+  })
+
+  it('Should point RELEASES to the packages on Hazel', async () => {
+    const response = await fetch(`${url}/update/win32/1.0.0/RELEASES`)
+
+    expect(await response.text()).toBe(
+      `ABCDEF ${url}/files/1.1.0/hyper-1.1.0-full.nupkg 11`
+    )
+  })
+
+  it('Should serve the manifests with the SHA512 hashes', async () => {
+    const response = await fetch(`${url}/releases.json`)
+    const [latest] = await response.json()
+
+    expect(latest.platforms.darwin.sha512).toBe('abc')
+  })
+
+  it('Should stream ranges of downloads', async () => {
+    const response = await fetch(`${url}/download/darwin?update=true`, {
+      headers: { Range: 'bytes=4-' }
+    })
+
+    expect(response.status).toBe(206)
+    expect(response.headers.get('content-range')).toBe('bytes 4-8/9')
+    expect(await response.text()).toBe('1.1.0')
+  })
+
+  it('Should stream several ranges at once', async () => {
+    const response = await fetch(`${url}/files/1.1.0/hyper-1.1.0-mac.zip`, {
+      headers: { Range: 'bytes=0-2,-5' }
+    })
+
+    const content = await response.text()
+    const [, boundary] = response.headers.get('content-type').split('boundary=')
+
+    expect(response.status).toBe(206)
+    expect(Number(response.headers.get('content-length'))).toBe(
+      Buffer.byteLength(content)
+    )
+    expect(content).toMatch('Content-Range: bytes 0-2/9\r\n\r\nmac\r\n')
+    expect(content).toMatch('Content-Range: bytes 4-8/9\r\n\r\n1.1.0')
+    expect(content.endsWith(`--${boundary}--\r\n`)).toBe(true)
+  })
+
+  it('Should reject unsatisfiable ranges', async () => {
+    const response = await fetch(`${url}/download/darwin?update=true`, {
+      headers: { Range: 'bytes=20-' }
+    })
+
+    expect(response.status).toBe(416)
+    expect(response.headers.get('content-range')).toBe('bytes */9')
+  })
+
+  it('Should serve the blockmaps of installers', async () => {
+    const latest = await fetch(`${url}/download/darwin.blockmap?update=true`)
+    expect(await latest.text()).toBe('blockmap 1.1.0')
+
+    // The path electron-updater derives for the previous version
+    const pinned = await fetch(`${url}/download/darwin/1.0.0.blockmap?update=true`)
+    expect(await pinned.text()).toBe('blockmap 1.0.0')
+  })
+
+  it('Should serve the files the manifests refer to', async () => {
+    const manifest = await (await fetch(`${url}/latest-mac.yml`)).text()
+    expect(manifest).toMatch('url: hyper-1.1.0-mac.zip')
+
+    const response = await fetch(`${url}/hyper-1.1.0-mac.zip`)
+    expect(await response.text()).toBe('mac 1.1.0')
+
+    const nupkg = await fetch(`${url}/update/win32/1.0.0/hyper-1.1.0-full.nupkg`)
+    expect(await nupkg.text()).toBe('nupkg 1.1.0')
+
+    const channel = await fetch(
+      `${url}/update/stable/win32/1.0.0/hyper-1.1.0-full.nupkg`
+    )
+    expect(await channel.text()).toBe('nupkg 1.1.0')
+  })
+
+  it('Should serve the files of previous releases', async () => {
+    const response = await fetch(`${url}/hyper-1.0.0-mac.zip.blockmap`)
+    expect(await response.text()).toBe('blockmap 1.0.0')
+  })
+
+  it('Should respond with 404 for unknown paths', async () => {
+    const response = await fetch(`${url}/unknown.zip`)
+    expect(response.status).toBe(404)
+  })
+
+  it('Should stream files with names outside of Latin-1', async () => {
+    const name = encodeURIComponent('Hyper-1.1.0-日本.dmg')
+    const response = await fetch(`${url}/files/1.1.0/${name}`)
+
+    expect(response.status).toBe(200)
+    expect(response.headers.get('content-disposition')).toBe(
+      `attachment; filename="Hyper-1.1.0-??.dmg"; filename*=UTF-8''${name}`
+    )
+    expect(await response.text()).toBe('dmg 1.1.0')
+  })
+
+  it('Should serve manifests it cannot parse as they are', async () => {
+    const response = await fetch(`${url}/latest-linux.yml?version=1.0.0`)
+
+    expect(response.status).toBe(200)
+    expect(await response.text()).toBe('files: [unclosed')
+  })
+
+  it('Should respond with 404 for unknown files', async () => {
+    const response = await fetch(`${url}/files/1.1.0/unknown.zip`)
+    expect(response.status).toBe(404)
+  })
+})
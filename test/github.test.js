@@ -0,0 +1,85 @@
+/* global describe, it, expect, jest, beforeEach */
+const fetch = require('node-fetch')
+const GitHub = require('../lib/sources/github')
+
+jest.mock('node-fetch', () => jest.fn())
+
+const { Response } = jest.requireActual('node-fetch')
+
+const respond = (status, body, headers = {}) =>
+  new Response(body ? JSON.stringify(body) : '', { status, headers })
+
+const releases = [{ tag_name: '1.0.0', assets: [] }]
+
+describe('GitHub source', () => {
+  beforeEach(() => {
+    fetch.mockReset()
+  })
+
+  it('Should send conditional requests and reuse unchanged responses', async () => {
+    const source = new GitHub({ account: 'zeit', repository: 'hyper' })
+
+    fetch.mockResolvedValueOnce(
+      respond(200, releases, { ETag: '"abc"', 'X-RateLimit-Remaining': '59' })
+    )
+    fetch.mockResolvedValueOnce(respond(304))
+
+    expect(await source.fetchReleases()).toEqual(releases)
+    expect(await source.fetchReleases()).toEqual(releases)
+
+    const [, options] = fetch.mock.calls[1]
+    expect(options.headers['If-None-Match']).toBe('"abc"')
+  })
+
+  it('Should follow the pages of the list', async () => {
+    const source = new GitHub({ account: 'zeit', repository: 'hyper' })
+    const next = '<https://api.github.com/repositories/1/releases?page=2>; rel="next"'
+
+    fetch.mockResolvedValueOnce(respond(200, releases, { Link: next }))
+    fetch.mockResolvedValueOnce(respond(200, [{ tag_name: '0.9.0', assets: [] }]))
+
+    const result = await source.fetchReleases()
+
+    expect(result.map(release => release.tag_name)).toEqual(['1.0.0', '0.9.0'])
+    expect(fetch.mock.calls[1][0]).toMatch(/page=2$/)
+  })
+
+  it('Should back off once the rate limit is exceeded', async () => {
+    const source = new GitHub({ account: 'zeit', repository: 'hyper' })
+    const reset = Math.round(Date.now() / 1000) + 60
+
+    fetch.mockResolvedValueOnce(
+      respond(403, null, {
+        'X-RateLimit-Limit': '60',
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': String(reset)
+      })
+    )
+
+    await expect(source.fetchReleases()).rejects.toMatchObject({
+      code: 'rate_limited'
+    })
+
+    expect(source.rateLimit.remaining).toBe(0)
+    expect(source.backoffUntil).toBe(reset * 1000)
+
+    // No more requests are sent until the limit was reset
+    await expect(source.fetchReleases()).rejects.toMatchObject({
+      code: 'rate_limited'
+    })
+
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('Should respect Retry-After', async () => {
+    const source = new GitHub({ account: 'zeit', repository: 'hyper' })
+
+    fetch.mockResolvedValueOnce(respond(429, null, { 'Retry-After': '30' }))
+
+    await expect(source.fetchReleases()).rejects.toMatchObject({
+      code: 'rate_limited'
+    })
+
+    expect(source.backoffUntil).toBeGreaterThan(Date.now() + 29000)
+  })
+})
@@ -0,0 +1,52 @@
+/* global describe, it, expect */
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const helpers = require('./helpers')
+
+const release = helpers.release('1.0.0', [
+  'hyper-1.0.0-mac.zip',
+  'latest-mac.yml'
+])
+
+describe('Health', () => {
+  const source = {
+    releases: [],
+    fetchReleases: async () => source.releases,
+    fetchAsset: async () => 'version: 1.0.0\nfiles: []\n'
+  }
+
+  const app = helpers.serve({ source })
+
+  it('Should always report that the process is up', async () => {
+    const response = await fetch(`${app.url}/healthz`)
+
+    expect(response.status).toBe(200)
+    expect((await response.json()).status).toBe('ok')
+  })
+
+  it('Should not be ready without a release', async () => {
+    const response = await fetch(`${app.url}/readyz`)
+    const content = await response.json()
+
+    expect(response.status).toBe(503)
+    expect(content.version).toBe(null)
+  })
+
+  it('Should be ready once a release was loaded', async () => {
+    source.releases = [release]
+
+    // Loads the cache
+    await fetch(`${app.url}/update/darwin/0.9.0`)
+
+    const response = await fetch(`${app.url}/readyz`)
+    const content = await response.json()
+
+    expect(response.status).toBe(200)
+    expect(content.version).toBe('1.0.0')
+    expect(content.platforms).toEqual(['darwin'])
+    expect(content.manifests).toEqual(['latest-mac.yml'])
+    expect(typeof content.lastUpdate).toBe('number')
+  })
+})
@@ -0,0 +1,50 @@
+/* global beforeAll, afterAll */
+// Packages
+const micro = require('micro')
+const listen = require('test-listen')
+
+// Utilities
+const hazel = require('../lib')
+
+// An asset like GitHub lists it for a release
+exports.asset = name => ({
+  name,
+  browser_download_url: `https://example.com/${name}`,
+  url: `https://api.example.com/${name}`,
+  content_type: 'application/octet-stream',
+  size: 1000000,
+  updated_at: '2018-01-01T00:00:00Z'
+})
+
+// A published release with assets of the given names, which
+// only contains an archive for macOS by default
+exports.release = (version, names, options = {}) =>
+  Object.assign(
+    {
+      tag_name: version,
+      body: 'Notes',
+      published_at: '2018-01-01T00:00:00Z',
+      draft: false,
+      prerelease: false,
+      assets: (names || [`hyper-${version}-mac.zip`]).map(exports.asset)
+    },
+    options
+  )
+
+// Starts Hazel with the given configuration (which usually contains a
+// custom source) for the tests of a suite. The URL it listens on is set
+// on the returned object once it's ready.
+exports.serve = config => {
+  const app = { server: null, url: null }
+
+  beforeAll(async () => {
+    app.server = micro(hazel(config))
+    app.url = await listen(app.server)
+  })
+
+  afterAll(() => {
+    app.server.close()
+  })
+
+  return app
+}
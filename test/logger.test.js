@@ -0,0 +1,99 @@
+/* global describe, it, expect, beforeEach, afterEach, jest */
+// Packages
+const micro = require('micro')
+const listen = require('test-listen')
+const fetch = require('node-fetch')
+
+// Utilities
+const hazel = require('../lib')
+const Logger = require('../lib/logger')
+
+describe('Logger', () => {
+  let stdout
+  let stderr
+
+  const lines = spy => spy.mock.calls.map(([line]) => line)
+
+  beforeEach(() => {
+    stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true)
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true)
+  })
+
+  afterEach(() => {
+    stdout.mockRestore()
+    stderr.mockRestore()
+  })
+
+  it('Should reject unknown levels and formats', () => {
+    expect(() => new Logger({ logLevel: 'loud' })).toThrow(/LOG_LEVEL/)
+    expect(() => new Logger({ logFormat: 'xml' })).toThrow(/LOG_FORMAT/)
+  })
+
+  it('Should skip entries below the level', () => {
+    const logger = new Logger({ logLevel: 'warn' })
+
+    logger.info('Hidden')
+    logger.warn('Shown')
+
+    expect(stdout).not.toHaveBeenCalled()
+    expect(lines(stderr)[0]).toMatch(/ WARN Shown\n$/)
+  })
+
+  it('Should print fields as pairs in text mode', () => {
+    const logger = new Logger()
+
+    logger.info('Caching release', { version: '1.0.0', asset: 'latest mac' })
+
+    expect(lines(stdout)[0]).toMatch(
+      / INFO Caching release version=1.0.0 asset="latest mac"\n$/
+    )
+  })
+
+  it('Should print JSON with the fields of the parent', () => {
+    const logger = new Logger({ logFormat: 'json' }).child({ requestId: 'a' })
+
+    logger.error('Failed', { err: new Error('Broken'), skipped: undefined })
+
+    const entry = JSON.parse(lines(stderr)[0])
+
+    expect(entry).toMatchObject({
+      level: 'error',
+      message: 'Failed',
+      requestId: 'a',
+      err: { message: 'Broken' }
+    })
+    expect(typeof entry.time).toBe('string')
+    expect(entry).not.toHaveProperty('skipped')
+  })
+
+  it('Should log every request with its ID', async () => {
+    const source = { fetchReleases: async () => [], fetchAsset: async () => '' }
+    const server = micro(hazel({ source, logFormat: 'json' }))
+    const url = await listen(server)
+
+    const first = await fetch(`${url}/update/mac/1.0.0`, {
+      headers: { 'X-Request-Id': 'abc-123' }
+    })
+    const second = await fetch(`${url}/healthz`)
+
+    server.close()
+
+    expect(first.headers.get('x-request-id')).toBe('abc-123')
+    expect(second.headers.get('x-request-id')).toMatch(/^[0-9a-f]{16}$/)
+
+    const requests = lines(stdout)
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.message === 'Handled request')
+
+    expect(requests[0]).toMatchObject({
+      requestId: 'abc-123',
+      method: 'GET',
+      path: '/update/mac/1.0.0',
+      status: 204,
+      route: 'update',
+      platform: 'darwin'
+    })
+    expect(typeof requests[0].latency).toBe('number')
+    expect(requests[1]).toMatchObject({ path: '/healthz', status: 200 })
+  })
+})
@@ -0,0 +1,129 @@
+/* global describe, it, expect */
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const createMetrics = require('../lib/metrics')
+const helpers = require('./helpers')
+
+const release = helpers.release('1.0.0')
+
+describe('Metrics', () => {
+  it('Should render counters with escaped labels', () => {
+    const metrics = createMetrics()
+    metrics.downloads.inc({ route: 'download', platform: 'a"b' })
+    metrics.downloads.inc({ route: 'download', platform: 'a"b' })
+
+    const content = metrics.render({ latest: {}, lastUpdate: null })
+
+    expect(content).toContain('# TYPE hazel_downloads_total counter')
+    expect(content).toContain(
+      'hazel_downloads_total{route="download",platform="a\\"b"} 2'
+    )
+    expect(content).not.toContain('hazel_cached_version{')
+  })
+
+  it('Should render histograms with cumulative buckets', () => {
+    const metrics = createMetrics()
+    metrics.refreshDuration.observe(0.3)
+    metrics.refreshDuration.observe(2)
+
+    const content = metrics.render({ latest: {}, lastUpdate: null })
+
+    expect(content).toContain(
+      'hazel_cache_refresh_duration_seconds_bucket{le="0.1"} 0'
+    )
+    expect(content).toContain(
+      'hazel_cache_refresh_duration_seconds_bucket{le="0.5"} 1'
+    )
+    expect(content).toContain(
+      'hazel_cache_refresh_duration_seconds_bucket{le="+Inf"} 2'
+    )
+    expect(content).toContain('hazel_cache_refresh_duration_seconds_sum 2.3')
+    expect(content).toContain('hazel_cache_refresh_duration_seconds_count 2')
+  })
+
+  it('Should map statuses to outcomes', () => {
+    const { outcome } = createMetrics()
+
+    expect(outcome(200)).toBe('200')
+    expect(outcome(204)).toBe('204')
+    expect(outcome(500)).toBe('error')
+  })
+
+  describe('Endpoint', () => {
+    const source = {
+      fail: false,
+      fetchReleases: async () => {
+        if (source.fail) {
+          throw new Error('Unavailable')
+        }
+
+        return [release]
+      },
+      fetchAsset: async () => ''
+    }
+
+    const app = helpers.serve({ source, adminToken: 'secret' })
+
+    it('Should count update checks, downloads and manifests', async () => {
+      await fetch(`${app.url}/update/darwin/0.9.0`)
+      await fetch(`${app.url}/update/darwin/0.0.0-random`)
+      await fetch(`${app.url}/update/darwin/1.0.0`)
+      await fetch(`${app.url}/update/darwin/invalid`)
+      await fetch(`${app.url}/update/mac/other`)
+      await fetch(`${app.url}/update/unknown/1.0.0`)
+      await fetch(`${app.url}/download/darwin`, { redirect: 'manual' })
+      await fetch(`${app.url}/latest-mac.yml`)
+      await fetch(`${app.url}/update/beta/win32/1.0.0/RELEASES`)
+
+      const response = await fetch(`${app.url}/metrics`)
+      const content = await response.text()
+
+      expect(response.status).toBe(200)
+      expect(response.headers.get('content-type')).toContain('text/plain')
+      expect(content).toContain(
+        'hazel_update_checks_total{platform="darwin",version="other",outcome="200"} 2'
+      )
+      expect(content).toContain(
+        'hazel_update_checks_total{platform="darwin",version="1.0.0",outcome="204"} 1'
+      )
+      expect(content).toContain(
+        'hazel_update_checks_total{platform="darwin",version="other",outcome="error"} 2'
+      )
+      expect(content).toContain(
+        'hazel_update_checks_total{platform="invalid",version="1.0.0",outcome="error"} 1'
+      )
+      expect(content).not.toContain('version="0.')
+      expect(content).not.toContain('version="invalid"')
+      expect(content).not.toContain('platform="unknown"')
+      expect(content).toContain(
+        'hazel_downloads_total{route="download_platform",platform="darwin"} 1'
+      )
+      expect(content).toContain(
+        'hazel_manifest_requests_total{manifest="latest-mac.yml",channel="stable"} 1'
+      )
+      expect(content).toContain(
+        'hazel_manifest_requests_total{manifest="RELEASES",channel="beta"} 1'
+      )
+      expect(content).toContain('hazel_cached_version{version="1.0.0"} 1')
+      expect(content).toContain('hazel_cache_refresh_duration_seconds_count 1')
+    })
+
+    it('Should count failed refreshes', async () => {
+      source.fail = true
+
+      // Forces a refresh of the cache
+      await fetch(`${app.url}/admin/refresh`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer secret' }
+      })
+
+      const content = await (await fetch(`${app.url}/metrics`)).text()
+
+      expect(content).toContain('hazel_cache_refresh_failures_total 1')
+      expect(content).toContain('hazel_cache_refresh_duration_seconds_count 2')
+      expect(content).toContain('hazel_cached_version{version="1.0.0"} 1')
+    })
+  })
+})
@@ -0,0 +1,44 @@
+/* global describe, it, expect */
+const notes = require('../lib/notes')
+
+const releases = [
+  { version: 'v1.5.0', notes: '**Five**' },
+  { version: 'v1.5.0-beta.1', notes: 'Beta' },
+  { version: 'v1.4.0', notes: 'Four' },
+  { version: 'v1.3.0', notes: 'Three' },
+  { version: 'v1.2.0', notes: 'Two' }
+]
+
+describe('Notes', () => {
+  it('Should collect the notes of every skipped release', () => {
+    const result = notes.collect(releases, '1.2.0', releases[0])
+
+    expect(result.map(entry => entry.version)).toEqual([
+      'v1.5.0',
+      'v1.4.0',
+      'v1.3.0'
+    ])
+  })
+
+  it('Should only return the notes of the target when not upgrading', () => {
+    const result = notes.collect(releases, '2.0.0', releases[0])
+    expect(result).toEqual([{ version: 'v1.5.0', note: '**Five**' }])
+  })
+
+  it('Should render the notes in the requested format', () => {
+    expect(notes.render('**Five**', 'markdown')).toBe('**Five**')
+    expect(notes.render('**Five**', 'html')).toBe(
+      '<p><strong>Five</strong></p>'
+    )
+    expect(notes.render('**Five** & <!-- rollout: 5% -->', 'text')).toBe(
+      'Five &'
+    )
+  })
+
+  it('Should combine the notes of several releases', () => {
+    const entries = notes.collect(releases, '1.3.0', releases[0])
+
+    expect(notes.combine(entries)).toBe('## v1.5.0\n\n**Five**\n\n## v1.4.0\n\nFour')
+    expect(notes.combine(entries.slice(0, 1))).toBe('**Five**')
+  })
+})
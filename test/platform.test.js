@@ -1,5 +1,10 @@
 /* global describe, it, expect */
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
 const platform = require('../lib/platform')
+const helpers = require('./helpers')
 
 describe('Platform', () => {
   it('Should parse mac', () => {
@@ -21,4 +26,93 @@ describe('Platform', () => {
     const result = platform('hi.txt')
     expect(result).toBe(false)
   })
+
+  it('Should detect the architecture', () => {
+    expect(platform('hyper-2.1.1-arm64-mac.zip')).toBe('darwin_arm64')
+    expect(platform('hyper-2.1.1-arm64.AppImage')).toBe('linux_arm64')
+    expect(platform('hyper_2.1.1_arm64.deb')).toBe('deb_arm64')
+    expect(platform('hyper-2.1.1-ia32.exe')).toBe('win32_ia32')
+    expect(platform('hyper-2.1.1-arm64.exe')).toBe('win32_arm64')
+    expect(platform('hyper-2.1.1-universal-mac.zip')).toBe('darwin_universal')
+    expect(platform('hyper-2.1.1-armv7l.AppImage')).toBe('linux_armv7l')
+    expect(platform('hyper-2.1.1.x86_64.rpm')).toBe('rpm')
+  })
+
+  it('Should ignore block maps', () => {
+    expect(platform('hyper-2.1.1.exe.blockmap')).toBe(false)
+  })
+
+  it('Should describe the matched asset', () => {
+    expect(platform.match('hyper-2.1.1-portable.exe')).toEqual({
+      platform: 'win32',
+      arch: 'x64',
+      format: 'portable',
+      priority: 5
+    })
+  })
+
+  it('Should try custom rules first', () => {
+    const rules = platform.compile({
+      platformRules: [
+        { match: '*.{snap,flatpak}', platform: 'linux', format: 'package' },
+        { match: '/-debug\\.exe$/', ignore: true },
+        { match: '*.pkg', platform: 'darwin', arch: 'universal', priority: 1 }
+      ]
+    })
+
+    expect(platform.match('hyper_2.1.1.snap', rules).format).toBe('package')
+    expect(platform('hyper-2.1.1-debug.exe', rules)).toBe(false)
+    expect(platform('hyper-2.1.1.exe', rules)).toBe('win32')
+    expect(platform('hyper-2.1.1.pkg', rules)).toBe('darwin_universal')
+  })
+
+  it('Should reject invalid rules', () => {
+    expect(() => platform.compile({ platformRules: [{ match: '*.msi' }] })).toThrow(
+      /needs a platform/
+    )
+    expect(() =>
+      platform.compile({ platformRules: [{ match: '/(/', platform: 'win32' }] })
+    ).toThrow(/not a valid pattern/)
+  })
+
+  describe('Routes', () => {
+    const release = helpers.release('1.0.0', [
+      'hyper-1.0.0-mac.zip',
+      'hyper-1.0.0.dmg',
+      'hyper-1.0.0.exe'
+    ])
+
+    const app = helpers.serve({
+      source: { fetchReleases: async () => [release], fetchAsset: async () => '' }
+    })
+
+    const location = async path => {
+      const response = await fetch(`${app.url}${path}`, { redirect: 'manual' })
+      return response.headers.get('location')
+    }
+
+    it('Should download images for macOS', async () => {
+      const image = 'https://example.com/hyper-1.0.0.dmg'
+
+      expect(await location('/download/mac')).toBe(image)
+      expect(await location('/download/dmg')).toBe(image)
+      expect(await location('/download/darwin')).toBe(image)
+      expect(await location('/download/darwin/1.0.0')).toBe(image)
+      expect(await location('/download/win32')).toBe('https://example.com/hyper-1.0.0.exe')
+    })
+
+    it('Should download archives for updates of macOS', async () => {
+      const archive = 'https://example.com/hyper-1.0.0-mac.zip'
+
+      expect(await location('/download/mac?update=true')).toBe(archive)
+      expect(await location('/download/darwin/1.0.0?update=true')).toBe(archive)
+    })
+
+    it('Should link to the images on the overview', async () => {
+      const content = await (await fetch(app.url)).text()
+
+      expect(content).toMatch('href=https://example.com/hyper-1.0.0.dmg')
+      expect(content).not.toMatch('hyper-1.0.0-mac.zip')
+    })
+  })
 })
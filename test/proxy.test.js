@@ -0,0 +1,191 @@
+/* global describe, it, expect, beforeAll, afterAll */
+// Packages
+const micro = require('micro')
+const listen = require('test-listen')
+const fetch = require('node-fetch')
+
+// Utilities
+const proxy = require('../lib/proxy')
+
+const content = 'The content of the asset'
+
+describe('Proxy', () => {
+  const requests = []
+  let storage
+  let api
+  let server
+  let storageUrl
+  let apiUrl
+  let url
+
+  // Imitates the storage GitHub redirects to, including ranges
+  const serveStorage = (req, res) => {
+    requests.push({ url: req.url, headers: req.headers })
+
+    if (req.url === '/missing') {
+      res.statusCode = 404
+      res.end()
+      return
+    }
+
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '')
+
+    if (!range) {
+      res.writeHead(200, {
+        'Content-Type': 'binary/octet-stream',
+        'Content-Length': content.length,
+        ETag: '"etag"'
+      })
+
+      res.end(content)
+      return
+    }
+
+    const start = Number(range[1])
+    const end = range[2] ? Number(range[2]) : content.length - 1
+
+    if (start >= content.length) {
+      res.writeHead(416, { 'Content-Range': `bytes */${content.length}` })
+      res.end()
+      return
+    }
+
+    res.writeHead(206, {
+      'Content-Type': 'binary/octet-stream',
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${content.length}`
+    })
+
+    res.end(content.slice(start, end + 1))
+  }
+
+  const serveApi = (req, res) => {
+    requests.push({ url: req.url, headers: req.headers })
+
+    if (req.headers.authorization !== 'token secret') {
+      res.statusCode = 401
+      res.end()
+      return
+    }
+
+    // GitHub sometimes sends the asset itself instead of redirecting
+    if (req.url === '/direct') {
+      res.writeHead(200, { 'Content-Length': content.length })
+      res.end(content)
+      return
+    }
+
+    if (req.url === '/broken') {
+      res.statusCode = 302
+      res.end()
+      return
+    }
+
+    res.writeHead(302, { Location: `${storageUrl}${req.url}` })
+    res.end()
+  }
+
+  const asset = name => ({
+    name: 'hyper-1.0.0.dmg',
+    api_url: `${apiUrl}/${name}`,
+    content_type: 'application/x-apple-diskimage',
+    size: content.length
+  })
+
+  beforeAll(async () => {
+    storage = micro(serveStorage)
+    api = micro(serveApi)
+
+    server = micro(async (req, res) => {
+      const [, name, token] = req.url.split('/')
+
+      try {
+        const located = await proxy.locate(asset(name), token, req)
+        await proxy.stream(asset(name), located, req, res)
+      } catch (err) {
+        micro.send(res, proxy.statusOf(err), err.message)
+      }
+    })
+
+    storageUrl = await listen(storage)
+    apiUrl = await listen(api)
+    url = await listen(server)
+  })
+
+  afterAll(() => {
+    storage.close()
+    api.close()
+    server.close()
+  })
+
+  it('Should stream the asset', async () => {
+    const response = await fetch(`${url}/asset/secret`)
+
+    expect(response.status).toBe(200)
+    expect(await response.text()).toBe(content)
+    expect(response.headers.get('content-type')).toBe(
+      'application/x-apple-diskimage'
+    )
+    expect(response.headers.get('content-length')).toBe(String(content.length))
+    expect(response.headers.get('content-disposition')).toBe(
+      'attachment; filename="hyper-1.0.0.dmg"'
+    )
+    expect(response.headers.get('accept-ranges')).toBe('bytes')
+    expect(response.headers.get('etag')).toBe('"etag"')
+  })
+
+  it('Should only send the token to GitHub', async () => {
+    requests.length = 0
+    await fetch(`${url}/asset/secret`)
+
+    expect(requests[0].headers.authorization).toBe('token secret')
+    expect(requests[0].url).toBe('/asset')
+    expect(requests[1].headers.authorization).toBe(undefined)
+  })
+
+  it('Should stream the asset GitHub sent without requesting it again', async () => {
+    requests.length = 0
+    const response = await fetch(`${url}/direct/secret`)
+
+    expect(response.status).toBe(200)
+    expect(await response.text()).toBe(content)
+    expect(requests.map(request => request.url)).toEqual(['/direct'])
+  })
+
+  it('Should pass on ranges', async () => {
+    const response = await fetch(`${url}/asset/secret`, {
+      headers: { Range: 'bytes=4-10' }
+    })
+
+    expect(response.status).toBe(206)
+    expect(await response.text()).toBe(content.slice(4, 11))
+    expect(response.headers.get('content-range')).toBe(
+      `bytes 4-10/${content.length}`
+    )
+  })
+
+  it('Should pass on unsatisfiable ranges', async () => {
+    const response = await fetch(`${url}/asset/secret`, {
+      headers: { Range: 'bytes=1000-' }
+    })
+
+    expect(response.status).toBe(416)
+    expect(response.headers.get('content-range')).toBe(
+      `bytes */${content.length}`
+    )
+  })
+
+  it('Should map failures of the upstream', async () => {
+    expect((await fetch(`${url}/missing/secret`)).status).toBe(404)
+    expect((await fetch(`${url}/asset/invalid`)).status).toBe(502)
+    expect((await fetch(`${url}/broken/secret`)).status).toBe(502)
+  })
+
+  it('Should locate the asset', async () => {
+    const { location } = await proxy.locate(asset('asset'), 'secret', {
+      headers: {}
+    })
+
+    expect(location).toBe(`${storageUrl}/asset`)
+  })
+})
@@ -0,0 +1,65 @@
+/* global describe, it, expect */
+const range = require('../lib/range')
+
+describe('Range', () => {
+  it('Should parse ranges', () => {
+    expect(range.parse('bytes=0-99', 1000)).toEqual([{ start: 0, end: 99 }])
+    expect(range.parse('bytes=900-', 1000)).toEqual([{ start: 900, end: 999 }])
+    expect(range.parse('bytes=-100', 1000)).toEqual([{ start: 900, end: 999 }])
+    expect(range.parse('bytes=0-9, 20-29', 1000)).toEqual([
+      { start: 0, end: 9 },
+      { start: 20, end: 29 }
+    ])
+  })
+
+  it('Should clamp ranges to the size', () => {
+    expect(range.parse('bytes=990-2000', 1000)).toEqual([{ start: 990, end: 999 }])
+    expect(range.parse('bytes=-2000', 1000)).toEqual([{ start: 0, end: 999 }])
+  })
+
+  it('Should ignore malformed headers', () => {
+    expect(range.parse(undefined, 1000)).toBe(null)
+    expect(range.parse('items=0-9', 1000)).toBe(null)
+    expect(range.parse('bytes=a-b', 1000)).toBe(null)
+    expect(range.parse('bytes=-', 1000)).toBe(null)
+    expect(range.parse('bytes=50-10', 1000)).toBe(null)
+    expect(range.parse('bytes=0-9, 50-10', 1000)).toBe(null)
+  })
+
+  it('Should merge overlapping ranges', () => {
+    expect(range.parse('bytes=0-,0-,0-', 1000)).toEqual([{ start: 0, end: 999 }])
+    expect(range.parse('bytes=20-29, 0-9, 5-14, 15-19', 1000)).toEqual([
+      { start: 0, end: 29 }
+    ])
+    expect(range.parse('bytes=0-9, 11-19', 1000)).toEqual([
+      { start: 0, end: 9 },
+      { start: 11, end: 19 }
+    ])
+  })
+
+  it('Should send the whole file for too many ranges', () => {
+    const header = `bytes=${Array.from({ length: 1001 }, (_, i) => `${i * 2}-${i * 2}`)}`
+    expect(range.parse(header, 10000)).toBe(null)
+  })
+
+  it('Should reject unsatisfiable ranges', () => {
+    expect(range.parse('bytes=1000-', 1000)).toBe(false)
+    expect(range.parse('bytes=1000-1010, 2000-', 1000)).toBe(false)
+  })
+
+  it('Should lay out several ranges', () => {
+    const layout = range.multipart(
+      [{ start: 0, end: 9 }, { start: 20, end: 29 }],
+      1000,
+      'application/zip'
+    )
+
+    expect(layout.type).toMatch(/^multipart\/byteranges; boundary=\w+$/)
+    expect(layout.parts[1].head).toMatch('Content-Range: bytes 20-29/1000')
+    expect(layout.length).toBe(
+      layout.parts.reduce((total, part) => total + part.head.length + 10, 0) +
+        layout.tail.length +
+        2
+    )
+  })
+})
@@ -0,0 +1,118 @@
+/* global describe, it, expect */
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const rollout = require('../lib/rollout')
+const helpers = require('./helpers')
+
+const releases = percentage => [
+  helpers.release('1.5.0', null, { body: `<!-- rollout: ${percentage}% -->` }),
+  helpers.release('1.4.0'),
+  helpers.release('1.3.0')
+]
+
+const serve = percentage =>
+  helpers.serve({
+    source: {
+      fetchReleases: async () => releases(percentage),
+      fetchAsset: async () => ''
+    }
+  })
+
+// Finds the ID of a client that is (or isn't) within the rollout
+const findClient = (version, isInside) =>
+  ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].find(
+    id => rollout.bucket(id, version) < 50 === isInside
+  )
+
+describe('Rollout', () => {
+  it('Should parse the marker in the release notes', () => {
+    const result = rollout.parseMarker('Fixes\n\n<!-- rollout: 25% -->')
+    expect(result).toBe(25)
+  })
+
+  it('Should return null when there is no marker', () => {
+    expect(rollout.parseMarker('Just some notes')).toBe(null)
+    expect(rollout.parseMarker(null)).toBe(null)
+  })
+
+  it('Should parse the configured percentages', () => {
+    expect(rollout.parseConfig('1.2.0=10, v1.3.0=0')).toEqual({
+      '1.2.0': 10,
+      'v1.3.0': 0
+    })
+
+    expect(rollout.parseConfig('{"1.2.0": 50}')).toEqual({ '1.2.0': 50 })
+  })
+
+  it('Should prefer the configured percentage over the marker', () => {
+    const release = { version: 'v1.2.0', rollout: 50 }
+
+    expect(rollout.resolve(release, {})).toBe(50)
+    expect(rollout.resolve(release, { '1.2.0': 0 })).toBe(0)
+    expect(rollout.resolve({ version: '1.0.0' }, {})).toBe(100)
+  })
+
+  it('Should bucket clients deterministically', () => {
+    const first = rollout.bucket('client', '1.2.0')
+
+    expect(rollout.bucket('client', 'v1.2.0')).toBe(first)
+    expect(first).toBeGreaterThanOrEqual(0)
+    expect(first).toBeLessThan(100)
+  })
+
+  it('Should only let clients within the percentage update', () => {
+    const bucket = rollout.bucket('client', '1.2.0')
+
+    expect(rollout.isEligible(100, null, '1.2.0')).toBe(true)
+    expect(rollout.isEligible(0, 'client', '1.2.0')).toBe(false)
+    expect(rollout.isEligible(50, null, '1.2.0')).toBe(false)
+    expect(rollout.isEligible(bucket + 0.01, 'client', '1.2.0')).toBe(true)
+    expect(rollout.isEligible(bucket, 'client', '1.2.0')).toBe(false)
+  })
+
+  describe('Routes', () => {
+    const check = async (app, path) => {
+      const response = await fetch(`${app.url}${path}`)
+      return response.status === 200 ? (await response.json()).name : response.status
+    }
+
+    describe('Halted', () => {
+      const app = serve(0)
+
+      it('Should offer the previous release to older clients', async () => {
+        expect(await check(app, '/update/darwin/1.3.0')).toBe('1.4.0')
+        expect(await check(app, '/update/darwin/1.3.0?clientId=a')).toBe('1.4.0')
+        expect(await check(app, '/update/darwin/1.4.0')).toBe(204)
+      })
+
+      it('Should leave the release out of the manifests', async () => {
+        const response = await fetch(`${app.url}/latest-mac.yml`)
+        expect(await response.text()).toMatch(/^version: 1\.4\.0$/m)
+      })
+    })
+
+    describe('Partial', () => {
+      const app = serve(50)
+
+      it('Should only offer the release to clients within the rollout', async () => {
+        const inside = findClient('1.5.0', true)
+        const outside = findClient('1.5.0', false)
+
+        expect(await check(app, `/update/darwin/1.3.0?clientId=${inside}`)).toBe('1.5.0')
+        expect(await check(app, `/update/darwin/1.3.0?clientId=${outside}`)).toBe('1.4.0')
+        expect(await check(app, '/update/darwin/1.3.0')).toBe('1.4.0')
+        expect(await check(app, `/update/darwin/1.4.0?clientId=${outside}`)).toBe(204)
+      })
+
+      it('Should let electron-updater pick its own share', async () => {
+        const response = await fetch(`${app.url}/latest-mac.yml`)
+        const content = await response.text()
+
+        expect(content).toMatch(/^version: 1\.5\.0$/m)
+        expect(content).toMatch(/^stagingPercentage: 50$/m)
+      })
+    })
+  })
+})
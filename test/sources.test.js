@@ -0,0 +1,146 @@
+/* global describe, it, expect, beforeAll, afterAll */
+// Native
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+
+// Packages
+const micro = require('micro')
+const listen = require('test-listen')
+
+// Utilities
+const createSource = require('../lib/sources')
+const GitLab = require('../lib/sources/gitlab')
+
+describe('Sources', () => {
+  it('Should use GitHub by default', () => {
+    const source = createSource({ account: 'zeit', repository: 'hyper' })
+    expect(source.repo).toBe('zeit/hyper')
+  })
+
+  it('Should throw for unknown sources', () => {
+    expect(() => createSource({ source: 'ftp' })).toThrow(/SOURCE/)
+  })
+
+  it('Should accept custom sources', () => {
+    const source = { fetchReleases: async () => [], fetchAsset: async () => '' }
+    expect(createSource({ source })).toBe(source)
+  })
+
+  it('Should throw when the static source has no URL', () => {
+    expect(() => createSource({ source: 'static' })).toThrow(/SOURCE_URL/)
+  })
+
+  it('Should turn GitLab releases into GitHub releases', () => {
+    const release = GitLab.normalize({
+      tag_name: 'v1.2.0-beta.1',
+      description: 'Notes',
+      released_at: '2018-01-01T00:00:00Z',
+      upcoming_release: false,
+      assets: {
+        links: [
+          {
+            id: 1,
+            name: 'hyper-1.2.0.dmg',
+            url: 'https://gitlab.com/zeit/hyper/-/releases/v1.2.0/downloads/hyper-1.2.0.dmg'
+          }
+        ]
+      }
+    })
+
+    expect(release.body).toBe('Notes')
+    expect(release.prerelease).toBe(true)
+    expect(release.assets[0].name).toBe('hyper-1.2.0.dmg')
+    expect(release.assets[0].browser_download_url).toMatch(/hyper-1.2.0.dmg$/)
+  })
+})
+
+describe('GitLab source', () => {
+  const tokens = {}
+  let gitlab
+  let bucket
+  let gitlabUrl
+  let bucketUrl
+
+  // Records the token every server received
+  const serve = name => req => {
+    tokens[name] = req.headers['private-token']
+    return 'content'
+  }
+
+  beforeAll(async () => {
+    gitlab = micro(serve('gitlab'))
+    bucket = micro(serve('bucket'))
+    gitlabUrl = await listen(gitlab)
+    bucketUrl = await listen(bucket)
+  })
+
+  afterAll(() => {
+    gitlab.close()
+    bucket.close()
+  })
+
+  it('Should only send the token to GitLab', async () => {
+    const source = new GitLab({
+      account: 'zeit',
+      repository: 'hyper',
+      token: 'secret',
+      sourceUrl: gitlabUrl
+    })
+
+    await source.fetchAsset({ browser_download_url: `${gitlabUrl}/hyper.dmg` })
+    await source.fetchAsset({ browser_download_url: `${bucketUrl}/hyper.dmg` })
+
+    expect(tokens.gitlab).toBe('secret')
+    expect(tokens.bucket).toBe(undefined)
+  })
+
+  it('Should throw for invalid URLs', () => {
+    expect(
+      () => new GitLab({ account: 'zeit', repository: 'hyper', sourceUrl: 'gitlab' })
+    ).toThrow(/SOURCE_URL/)
+  })
+})
+
+describe('Filesystem source', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hazel-'))
+
+  beforeAll(() => {
+    for (const version of ['1.0.0', '1.1.0']) {
+      fs.mkdirSync(path.join(directory, version))
+      fs.writeFileSync(path.join(directory, version, `hyper-${version}.dmg`), version)
+      fs.writeFileSync(path.join(directory, version, 'notes.md'), `Notes ${version}`)
+    }
+  })
+
+  afterAll(() => {
+    for (const version of ['1.0.0', '1.1.0']) {
+      for (const name of fs.readdirSync(path.join(directory, version))) {
+        fs.unlinkSync(path.join(directory, version, name))
+      }
+
+      fs.rmdirSync(path.join(directory, version))
+    }
+
+    fs.rmdirSync(directory)
+  })
+
+  it('Should list the releases, newest first', async () => {
+    const source = createSource({ source: 'filesystem', directory, url: 'https://hazel.test' })
+    const releases = await source.fetchReleases()
+
+    expect(releases.map(release => release.tag_name)).toEqual(['1.1.0', '1.0.0'])
+    expect(releases[0].body).toBe('Notes 1.1.0')
+    expect(releases[0].assets.map(asset => asset.name)).toEqual(['hyper-1.1.0.dmg'])
+    expect(releases[0].assets[0].browser_download_url).toBe(
+      'https://hazel.test/files/1.1.0/hyper-1.1.0.dmg'
+    )
+  })
+
+  it('Should read the content of assets', async () => {
+    const source = createSource({ source: 'filesystem', directory, url: 'https://hazel.test' })
+    const [release] = await source.fetchReleases()
+
+    expect(await source.fetchAsset(release.assets[0])).toBe('1.1.0')
+  })
+})
@@ -0,0 +1,79 @@
+/* global describe, it, expect, afterEach */
+// Native
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+
+// Utilities
+const createStorage = require('../lib/storage')
+
+const storagePath = path.join(os.tmpdir(), `hazel-storage-${process.pid}.json`)
+
+afterEach(() => {
+  for (const file of [storagePath, `${storagePath}.lock`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+  }
+})
+
+describe('Storage', () => {
+  it('Should keep the snapshot in memory by default', async () => {
+    const storage = createStorage({})
+
+    expect(await storage.get()).toBe(null)
+    await storage.set({ lastUpdate: 1 })
+    expect(await storage.get()).toEqual({ lastUpdate: 1 })
+  })
+
+  it('Should throw for unknown storages', () => {
+    expect(() => createStorage({ storage: 'tape' })).toThrow(/STORAGE/)
+  })
+
+  it('Should throw when the path of the file storage is missing', () => {
+    expect(() => createStorage({ storage: 'file' })).toThrow(/STORAGE_PATH/)
+  })
+
+  it('Should store the snapshot in a file', async () => {
+    const storage = createStorage({ storage: 'file', storagePath })
+
+    expect(await storage.get()).toBe(null)
+    await storage.set({ lastUpdate: 1, releases: [] })
+
+    const other = createStorage({ storage: 'file', storagePath })
+    expect(await other.get()).toEqual({ lastUpdate: 1, releases: [] })
+  })
+
+  it('Should only let one instance hold the lock', async () => {
+    const storage = createStorage({ storage: 'file', storagePath })
+    const other = createStorage({ storage: 'file', storagePath })
+
+    expect(await storage.lock(60000)).toBe(true)
+    expect(await other.lock(60000)).toBe(false)
+
+    await storage.unlock()
+    expect(await other.lock(60000)).toBe(true)
+  })
+
+  it('Should take over stale locks', async () => {
+    const storage = createStorage({ storage: 'file', storagePath })
+
+    expect(await storage.lock(60000)).toBe(true)
+    expect(await storage.lock(-1)).toBe(true)
+  })
+
+  it('Should not release locks taken over by other instances', async () => {
+    const storage = createStorage({ storage: 'file', storagePath })
+    const other = createStorage({ storage: 'file', storagePath })
+    const third = createStorage({ storage: 'file', storagePath })
+
+    expect(await storage.lock(60000)).toBe(true)
+    expect(await other.lock(-1)).toBe(true)
+
+    await storage.unlock()
+    expect(await third.lock(60000)).toBe(false)
+
+    await other.unlock()
+    expect(await third.lock(60000)).toBe(true)
+  })
+})
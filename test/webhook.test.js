@@ -0,0 +1,81 @@
+/* global describe, it, expect */
+// Native
+const crypto = require('crypto')
+
+// Packages
+const fetch = require('node-fetch')
+
+// Utilities
+const helpers = require('./helpers')
+
+const sign = body =>
+  'sha256=' +
+  crypto
+    .createHmac('sha256', 'secret')
+    .update(body)
+    .digest('hex')
+
+describe('Webhook', () => {
+  const releases = [helpers.release('1.1.0'), helpers.release('1.0.0')]
+
+  const source = {
+    fetchReleases: async () => releases.slice(),
+    fetchAsset: async () => ''
+  }
+
+  const app = helpers.serve({ source, webhookSecret: 'secret' })
+
+  const deliver = (payload, signature) => {
+    const body = JSON.stringify(payload)
+
+    return fetch(`${app.url}/webhook/github`, {
+      method: 'POST',
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'release',
+        'X-Hub-Signature-256': signature || sign(body)
+      }
+    })
+  }
+
+  it('Should reject invalid signatures', async () => {
+    const response = await deliver({ action: 'published' }, 'sha256=abc')
+    expect(response.status).toBe(401)
+  })
+
+  it('Should refresh the cache when a release is published', async () => {
+    releases.unshift(helpers.release('1.2.0'))
+
+    const response = await deliver({
+      action: 'published',
+      release: { tag_name: '1.2.0' }
+    })
+
+    expect(response.status).toBe(200)
+
+    const update = await fetch(`${app.url}/update/darwin/1.0.0`)
+    expect((await update.json()).name).toBe('1.2.0')
+  })
+
+  it('Should evict deleted releases', async () => {
+    releases.shift()
+
+    const response = await deliver({
+      action: 'deleted',
+      release: { tag_name: '1.2.0' }
+    })
+
+    expect(response.status).toBe(200)
+
+    const list = await fetch(`${app.url}/releases.json`)
+    const versions = (await list.json()).map(item => item.version)
+
+    expect(versions).toEqual(['1.1.0', '1.0.0'])
+  })
+
+  it('Should ignore other actions', async () => {
+    const response = await deliver({ action: 'other' })
+    expect(response.status).toBe(202)
+  })
+})
@@ -0,0 +1,40 @@
+/* global describe, it, expect, afterEach */
+// Native
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+
+// Utilities
+const loadYanked = require('../lib/yanked')
+
+const yankedFile = path.join(os.tmpdir(), `hazel-yanked-${process.pid}`)
+
+afterEach(() => {
+  if (fs.existsSync(yankedFile)) {
+    fs.unlinkSync(yankedFile)
+  }
+})
+
+describe('Yanked', () => {
+  it('Should read the versions from the configuration', async () => {
+    expect(await loadYanked({ yanked: '1.0.0,v1.1.0' })).toEqual([
+      '1.0.0',
+      '1.1.0'
+    ])
+  })
+
+  it('Should read the versions from a file with one version per line', async () => {
+    fs.writeFileSync(yankedFile, 'v1.2.0\n1.3.0\n')
+
+    expect(await loadYanked({ yanked: '1.0.0', yankedFile })).toEqual([
+      '1.0.0',
+      '1.2.0',
+      '1.3.0'
+    ])
+  })
+
+  it('Should read the versions from a JSON file', async () => {
+    fs.writeFileSync(yankedFile, '["1.2.0"]')
+    expect(await loadYanked({ yankedFile })).toEqual(['1.2.0'])
+  })
+})